@@ -0,0 +1,8 @@
+const { getDefaultConfig } = require('expo/metro-config');
+
+const config = getDefaultConfig(__dirname);
+
+// Bundled offline boundaries (assets/boundaries) are loaded through expo-asset
+config.resolver.assetExts.push('geojson');
+
+module.exports = config;
@@ -0,0 +1,153 @@
+/**
+ * Builds the heavily simplified ward and municipality boundaries bundled with
+ * the app (assets/boundaries), which useBoundaryLayer shows until the full
+ * datasets have been downloaded.
+ *
+ * Usage: npm run build:offline-boundaries
+ *        npm run check:offline-boundaries  (fails if a bundle is still empty)
+ *
+ * Reads WARDS_URL and API_BASE_URL from the environment, falling back to the
+ * default ward dataset and the API in app.json.
+ */
+const fs = require('fs');
+const path = require('path');
+const appConfig = require('../app.json');
+
+const WARDS_URL = process.env.WARDS_URL
+  || 'https://raw.githubusercontent.com/Thabang-777/wards-geojson/main/wards.geojson';
+const API_BASE_URL = process.env.API_BASE_URL || appConfig.expo.extra.API_BASE_URL;
+const OUTPUT_DIRECTORY = path.join(__dirname, '..', 'assets', 'boundaries');
+
+// Coarse enough to keep the bundle small; lookups near edges use the nearest-ward fallback
+const WARD_TOLERANCE = 0.01;
+const MUNICIPALITY_TOLERANCE = 0.02;
+// Three decimals is ~110 m, well inside the simplification error
+const COORDINATE_PRECISION = 3;
+
+// Only the properties the layer schemas read (WARD_DATASETS and BOUNDARY_LAYERS) are kept
+const WARD_PROPERTIES = [
+  'id', 'WARD_ID', 'ward_id', 'WardID',
+  'name', 'WARD_NAME', 'ward_name',
+  'municipality', 'MUNICIPALITY', 'mun_name', 'LocalMunic',
+  'municipality_id', 'CAT_B', 'municipality_code',
+  'province', 'PROVINCE', 'Province',
+];
+const MUNICIPALITY_PROPERTIES = ['id', 'name', 'province'];
+
+const roundCoordinates = (coordinates) => (
+  typeof coordinates[0] === 'number'
+    ? coordinates.map(value => Number(value.toFixed(COORDINATE_PRECISION)))
+    : coordinates.map(roundCoordinates)
+);
+
+// Rounding can collapse small rings to fewer than four positions
+const dropDegenerateRings = (geometry) => {
+  const keepPolygon = rings => rings.filter(ring => ring.length >= 4);
+
+  if (geometry.type === 'Polygon') {
+    const rings = keepPolygon(geometry.coordinates);
+    return rings.length > 0 ? { ...geometry, coordinates: rings } : null;
+  }
+
+  if (geometry.type === 'MultiPolygon') {
+    const polygons = geometry.coordinates.map(keepPolygon).filter(rings => rings.length > 0);
+    return polygons.length > 0 ? { ...geometry, coordinates: polygons } : null;
+  }
+
+  return null;
+};
+
+const pickProperties = (properties = {}, keys) => Object.fromEntries(
+  keys.filter(key => properties[key] !== undefined && properties[key] !== null).map(key => [key, properties[key]])
+);
+
+const shrink = (geojson, tolerance, keys) => {
+  // Required here so --check runs without the dev dependencies installed
+  const simplify = require('simplify-geojson');
+  const simplified = simplify(geojson, tolerance);
+
+  const features = simplified.features
+    .map(feature => {
+      if (!feature.geometry) return null;
+      const geometry = dropDegenerateRings({
+        ...feature.geometry,
+        coordinates: roundCoordinates(feature.geometry.coordinates),
+      });
+      return geometry && {
+        type: 'Feature',
+        properties: pickProperties(feature.properties, keys),
+        geometry,
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    type: 'FeatureCollection',
+    metadata: { bundled: true, generatedAt: new Date().toISOString(), tolerance },
+    features,
+  };
+};
+
+const fetchJSON = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}: ${response.status}`);
+  }
+  return response.json();
+};
+
+const write = (fileName, geojson) => {
+  const file = path.join(OUTPUT_DIRECTORY, fileName);
+  fs.writeFileSync(file, JSON.stringify(geojson));
+  const size = (fs.statSync(file).size / 1024).toFixed(0);
+  console.log(`Wrote ${geojson.features.length} features to ${path.relative(process.cwd(), file)} (${size} KB)`);
+};
+
+const BUNDLES = ['wards.geojson', 'municipalities.geojson'];
+
+// The checked-in placeholders have no features, and the app ignores empty bundles
+const check = () => {
+  const empty = BUNDLES.filter(fileName => {
+    const file = path.join(OUTPUT_DIRECTORY, fileName);
+    if (!fs.existsSync(file)) return true;
+    const { features } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return !Array.isArray(features) || features.length === 0;
+  });
+
+  if (empty.length > 0) {
+    console.error(`Offline boundaries not generated: ${empty.join(', ')}. Run npm run build:offline-boundaries`);
+    process.exit(1);
+  }
+  console.log('Offline boundaries are present');
+};
+
+const main = async () => {
+  fs.mkdirSync(OUTPUT_DIRECTORY, { recursive: true });
+
+  console.log(`Fetching wards from ${WARDS_URL}`);
+  const wards = await fetchJSON(WARDS_URL);
+  write('wards.geojson', shrink(wards, WARD_TOLERANCE, WARD_PROPERTIES));
+
+  console.log(`Fetching municipalities from ${API_BASE_URL}`);
+  const { data } = await fetchJSON(`${API_BASE_URL}/api/municipalities?include_geojson=true`);
+  const municipalities = {
+    type: 'FeatureCollection',
+    features: data.municipalities
+      .filter(municipality => municipality.geojson)
+      .map(({ geojson, ...municipality }) => ({
+        type: 'Feature',
+        properties: { ...(geojson.properties || {}), ...municipality },
+        geometry: geojson.type === 'Feature' ? geojson.geometry : geojson,
+      })),
+  };
+  write('municipalities.geojson', shrink(municipalities, MUNICIPALITY_TOLERANCE, MUNICIPALITY_PROPERTIES));
+};
+
+if (process.argv.includes('--check')) {
+  check();
+} else {
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -12,16 +12,43 @@ import { Ionicons } from '@expo/vector-icons';
 import Input from './Input';
 import Button from './Button';
 import LoadingSpinner from './LoadingSpinner';
+import OfflineTileLayer from '../maps/OfflineTileLayer';
+import ReportGeometryShape from '../maps/ReportGeometryShape';
 import { theme } from '../../config/theme';
 import { useLocation } from '../../hooks/useLocation';
 import { useWards } from '../../hooks/useWards';
+import { useBoundaryHierarchy } from '../../hooks/useBoundaryHierarchy';
 import { debounce } from '../../utils/geoUtils';
+import {
+  pointsToGeometry,
+  geometryToPoints,
+  getGeometryCentroid,
+  describeGeometry,
+  formatDistance,
+} from '../../utils/measurement';
 
 const { width, height } = Dimensions.get('window');
 
+const DRAW_SHAPES = [
+  { value: 'point', label: 'Point', icon: 'location-outline' },
+  { value: 'line', label: 'Line', icon: 'git-commit-outline' },
+  { value: 'polygon', label: 'Area', icon: 'square-outline' },
+];
+
+// Inside a ward but this close to its edge, ask which ward the report belongs to
+const BOUNDARY_CONFIRM_DISTANCE = 30;
+
+const getGeometryShape = (geometry) => {
+  if (geometry?.type === 'Polygon') return 'polygon';
+  if (geometry?.type === 'LineString') return 'line';
+  return 'point';
+};
+
 const LocationPicker = ({
   initialLocation = null,
+  initialGeometry = null,
   onLocationChange,
+  enableDrawing = false,
   enableAutocomplete = false,
   showMap = true,
   style,
@@ -29,20 +56,35 @@ const LocationPicker = ({
 }) => {
   const [selectedLocation, setSelectedLocation] = useState(initialLocation);
   const [address, setAddress] = useState('');
-  const [mapRegion, setMapRegion] = useState({
-    latitude: initialLocation?.latitude || -26.2041,
-    longitude: initialLocation?.longitude || 28.0473,
-    latitudeDelta: 0.01,
-    longitudeDelta: 0.01,
+  const [mapRegion, setMapRegion] = useState(() => {
+    const start = initialLocation || getGeometryCentroid(initialGeometry);
+    return {
+      latitude: start?.latitude || -26.2041,
+      longitude: start?.longitude || 28.0473,
+      latitudeDelta: 0.01,
+      longitudeDelta: 0.01,
+    };
   });
   const [loading, setLoading] = useState(false);
   const [showMapView, setShowMapView] = useState(showMap);
   const [addressSuggestions, setAddressSuggestions] = useState([]);
   const [selectedWard, setSelectedWard] = useState(null);
+  const [boundaries, setBoundaries] = useState(null);
+  const [wardCandidates, setWardCandidates] = useState([]);
+  const [confirmedWardId, setConfirmedWardId] = useState(null);
   const [mapReady, setMapReady] = useState(false);
+  // Line and area reports are drawn by tapping vertices on the map
+  const [drawShape, setDrawShape] = useState(() => getGeometryShape(initialGeometry));
+  const [drawPoints, setDrawPoints] = useState(() => geometryToPoints(initialGeometry));
 
   const { getCurrentLocation, reverseGeocode } = useLocation();
-  const { findWardByLocation } = useWards();
+  const { findWardByLocation, findWardByGeometry, getWardCandidates } = useWards();
+  const { findHierarchyByLocation } = useBoundaryHierarchy({ point: selectedLocation, loadWards: false });
+
+  const isDrawing = drawShape !== 'point';
+  const geometry = useMemo(() => (
+    isDrawing ? pointsToGeometry(drawPoints, drawShape) : null
+  ), [isDrawing, drawPoints, drawShape]);
 
   // Initialize with provided location
   useEffect(() => {
@@ -58,12 +100,6 @@ const LocationPicker = ({
     }
   }, [initialLocation]);
 
-  // Debounced reverse geocoding
-  const debouncedReverseGeocode = useMemo(
-    () => debounce(reverseGeocodeLocation, 1000),
-    []
-  );
-
   const reverseGeocodeLocation = async (location) => {
     try {
       const addressText = await reverseGeocode(location.latitude, location.longitude);
@@ -74,6 +110,23 @@ const LocationPicker = ({
     }
   };
 
+  // Debounced reverse geocoding
+  const debouncedReverseGeocode = useMemo(
+    () => debounce(reverseGeocodeLocation, 1000),
+    []
+  );
+
+  // A drawn shape is located at its centroid
+  useEffect(() => {
+    if (!geometry) return;
+
+    const centroid = getGeometryCentroid(geometry);
+    if (centroid) {
+      setSelectedLocation(centroid);
+      debouncedReverseGeocode(centroid);
+    }
+  }, [geometry, debouncedReverseGeocode]);
+
   const handleGetCurrentLocation = async () => {
     try {
       setLoading(true);
@@ -84,13 +137,20 @@ const LocationPicker = ({
         longitude: location.longitude,
       };
 
-      setSelectedLocation(newLocation);
       setMapRegion({
         ...mapRegion,
         latitude: location.latitude,
         longitude: location.longitude,
       });
 
+      // While drawing, the current position becomes the next vertex
+      if (isDrawing) {
+        setDrawPoints(current => [...current, newLocation]);
+        return;
+      }
+
+      setSelectedLocation(newLocation);
+
       // Get address for current location
       await reverseGeocodeLocation(newLocation);
 
@@ -123,7 +183,12 @@ const LocationPicker = ({
     try {
       const { latitude, longitude } = event.nativeEvent.coordinate;
       const newLocation = { latitude, longitude };
-      
+
+      if (isDrawing) {
+        setDrawPoints(current => [...current, newLocation]);
+        return;
+      }
+
       setSelectedLocation(newLocation);
       
       // Find ward for the selected location
@@ -143,7 +208,7 @@ const LocationPicker = ({
     } catch (error) {
       console.warn('Error handling map press:', error);
     }
-  }, [address, onLocationChange, debouncedReverseGeocode, findWardByLocation, mapReady]);
+  }, [address, onLocationChange, debouncedReverseGeocode, findWardByLocation, mapReady, isDrawing]);
 
   const handleAddressChange = (text) => {
     setAddress(text);
@@ -155,6 +220,7 @@ const LocationPicker = ({
         ...selectedLocation,
         ward: selectedWard,
         address: text,
+        geometry,
       });
     }
 
@@ -170,21 +236,64 @@ const LocationPicker = ({
     setMapReady(true);
   }, []);
 
+  // A ward confirmed by the user only applies to the point it was chosen for
+  useEffect(() => {
+    setConfirmedWardId(null);
+  }, [selectedLocation]);
+
   // Update ward when location changes
   useEffect(() => {
     if (selectedLocation) {
-      const ward = findWardByLocation(selectedLocation.latitude, selectedLocation.longitude);
+      let ward;
+      if (geometry) {
+        ward = findWardByGeometry(geometry);
+        setWardCandidates([]);
+      } else {
+        const { latitude, longitude } = selectedLocation;
+        const candidates = getWardCandidates(latitude, longitude);
+        const nearBoundary = candidates.length > 0 && (
+          !candidates[0].inside ||
+          (candidates.length > 1 && candidates[0].distance < BOUNDARY_CONFIRM_DISTANCE)
+        );
+        setWardCandidates(nearBoundary ? candidates : []);
+
+        ward = candidates.find(candidate => candidate.id === confirmedWardId)
+          || findWardByLocation(latitude, longitude);
+      }
       setSelectedWard(ward);
+
+      const hierarchy = findHierarchyByLocation(selectedLocation.latitude, selectedLocation.longitude, ward);
+      setBoundaries(hierarchy);
       
       if (onLocationChange) {
         onLocationChange({
           ...selectedLocation,
           ward,
+          boundaries: hierarchy,
           address,
+          geometry,
         });
       }
     }
-  }, [selectedLocation, findWardByLocation, address, onLocationChange]);
+  }, [
+    selectedLocation,
+    geometry,
+    confirmedWardId,
+    findWardByLocation,
+    findWardByGeometry,
+    getWardCandidates,
+    findHierarchyByLocation,
+    address,
+    onLocationChange,
+  ]);
+
+  const undoDrawPoint = () => {
+    setDrawPoints(current => current.slice(0, -1));
+  };
+
+  const clearDrawPoints = () => {
+    setDrawPoints([]);
+  };
 
   const toggleMapView = () => {
     setShowMapView(!showMapView);
@@ -209,7 +318,23 @@ const LocationPicker = ({
           pitchEnabled={false}
           rotateEnabled={false}
         >
-          {selectedLocation && mapReady && (
+          <OfflineTileLayer />
+          {isDrawing && mapReady && (
+            <>
+              <ReportGeometryShape geometry={geometry} />
+              {drawPoints.map((point, index) => (
+                <Marker
+                  key={`vertex-${index}`}
+                  coordinate={point}
+                  anchor={{ x: 0.5, y: 0.5 }}
+                  tracksViewChanges={false}
+                >
+                  <View style={styles.vertex} />
+                </Marker>
+              ))}
+            </>
+          )}
+          {selectedLocation && mapReady && !isDrawing && (
             <Marker
               coordinate={selectedLocation}
               title="Selected Location"
@@ -234,6 +359,46 @@ const LocationPicker = ({
     );
   };
 
+  const renderDrawControls = () => {
+    if (!enableDrawing || !showMapView) return null;
+
+    return (
+      <View style={styles.drawControls}>
+        <View style={styles.shapeSwitch}>
+          {DRAW_SHAPES.map((item) => {
+            const selected = drawShape === item.value;
+            return (
+              <TouchableOpacity
+                key={item.value}
+                style={[styles.shapeButton, selected && styles.selectedShapeButton]}
+                onPress={() => setDrawShape(item.value)}
+              >
+                <Ionicons name={item.icon} size={14} color={selected ? theme.colors.white : theme.colors.primary} />
+                <Text style={[styles.shapeText, selected && styles.selectedShapeText]}>{item.label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        {isDrawing && (
+          <View style={styles.drawRow}>
+            <Text style={styles.drawHint}>
+              {drawPoints.length === 0
+                ? `Tap the map to trace the ${drawShape === 'polygon' ? 'area' : 'line'}`
+                : `${drawPoints.length} ${drawPoints.length === 1 ? 'point' : 'points'}`}
+            </Text>
+            <TouchableOpacity onPress={undoDrawPoint} disabled={drawPoints.length === 0} style={styles.drawAction}>
+              <Ionicons name="arrow-undo-outline" size={18} color={theme.colors.primary} />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={clearDrawPoints} disabled={drawPoints.length === 0} style={styles.drawAction}>
+              <Ionicons name="trash-outline" size={18} color={theme.colors.error} />
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
   return (
     <View style={[styles.container, style]}>
       <View style={styles.header}>
@@ -264,6 +429,8 @@ const LocationPicker = ({
         style={styles.addressInput}
       />
 
+      {renderDrawControls()}
+
       {renderMap()}
 
       <View style={styles.actions}>
@@ -281,15 +448,48 @@ const LocationPicker = ({
             <Text style={styles.coordinates}>
               {selectedLocation.latitude.toFixed(6)}, {selectedLocation.longitude.toFixed(6)}
             </Text>
+            {geometry && (
+              <Text style={styles.coordinates}>{describeGeometry(geometry)}</Text>
+            )}
             {selectedWard && (
               <Text style={styles.wardInfo}>
-                {selectedWard.name} • {selectedWard.municipality}
+                {[selectedWard.name, boundaries?.municipality?.name, boundaries?.province?.name]
+                  .filter(Boolean)
+                  .join(' • ')}
               </Text>
             )}
           </View>
         )}
       </View>
 
+      {wardCandidates.length > 0 && (
+        <View style={styles.boundaryWarning}>
+          <View style={styles.boundaryHeader}>
+            <Ionicons name="warning-outline" size={16} color={theme.colors.warning} />
+            <Text style={styles.boundaryTitle}>Near ward boundary — confirm ward</Text>
+          </View>
+          <View style={styles.candidateList}>
+            {wardCandidates.map((candidate) => {
+              const selected = selectedWard?.id === candidate.id;
+              return (
+                <TouchableOpacity
+                  key={candidate.id}
+                  style={[styles.candidateChip, selected && styles.selectedCandidateChip]}
+                  onPress={() => setConfirmedWardId(candidate.id)}
+                >
+                  <Text style={[styles.candidateText, selected && styles.selectedCandidateText]}>
+                    {candidate.name}
+                  </Text>
+                  <Text style={[styles.candidateDistance, selected && styles.selectedCandidateText]}>
+                    {candidate.inside ? 'inside' : `${formatDistance(candidate.distance / 1000)} away`}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+      )}
+
       {addressSuggestions.length > 0 && (
         <View style={styles.suggestions}>
           {addressSuggestions.map((suggestion, index) => (
@@ -348,6 +548,57 @@ const styles = StyleSheet.create({
   map: {
     flex: 1,
   },
+  drawControls: {
+    marginBottom: theme.spacing.sm,
+  },
+  shapeSwitch: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    borderRadius: theme.borderRadius.sm + 2,
+    overflow: 'hidden',
+  },
+  shapeButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: theme.spacing.xs + 2,
+  },
+  selectedShapeButton: {
+    backgroundColor: theme.colors.primary,
+  },
+  shapeText: {
+    marginLeft: theme.spacing.xs,
+    fontSize: theme.fonts.sizes.xs,
+    color: theme.colors.primary,
+    fontWeight: theme.fonts.weights.medium,
+  },
+  selectedShapeText: {
+    color: theme.colors.white,
+  },
+  drawRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: theme.spacing.xs,
+  },
+  drawHint: {
+    flex: 1,
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.textSecondary,
+  },
+  drawAction: {
+    padding: theme.spacing.xs,
+    marginLeft: theme.spacing.xs,
+  },
+  vertex: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: theme.colors.white,
+    borderWidth: 3,
+    borderColor: theme.colors.primary,
+  },
   currentLocationButton: {
     position: 'absolute',
     top: theme.spacing.sm,
@@ -383,6 +634,53 @@ const styles = StyleSheet.create({
     fontWeight: theme.fonts.weights.medium,
     marginTop: theme.spacing.xs / 2,
   },
+  boundaryWarning: {
+    marginTop: theme.spacing.sm,
+    padding: theme.spacing.sm,
+    borderRadius: theme.borderRadius.md,
+    borderWidth: 1,
+    borderColor: theme.colors.warning,
+    backgroundColor: theme.colors.surface,
+  },
+  boundaryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  boundaryTitle: {
+    marginLeft: theme.spacing.xs,
+    fontSize: theme.fonts.sizes.sm,
+    fontWeight: theme.fonts.weights.semibold,
+    color: theme.colors.text,
+  },
+  candidateList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: theme.spacing.xs,
+  },
+  candidateChip: {
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: theme.spacing.xs,
+    marginRight: theme.spacing.xs,
+    marginTop: theme.spacing.xs,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+  },
+  selectedCandidateChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  candidateText: {
+    fontSize: theme.fonts.sizes.sm,
+    fontWeight: theme.fonts.weights.medium,
+    color: theme.colors.primary,
+  },
+  candidateDistance: {
+    fontSize: theme.fonts.sizes.xs,
+    color: theme.colors.textSecondary,
+  },
+  selectedCandidateText: {
+    color: theme.colors.white,
+  },
   suggestions: {
     marginTop: theme.spacing.sm,
     backgroundColor: theme.colors.surface,
@@ -0,0 +1,282 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../config/theme';
+import { REPORT_STATUSES } from '../../config/api';
+import Button from '../common/Button';
+import Input from '../common/Input';
+
+const AreaSelectionSheet = ({
+  visible,
+  area,
+  reports = [],
+  watchAreas = [],
+  onClose,
+  onSave,
+  onShare,
+  onClear,
+  onSelectWatchArea,
+  onDeleteWatchArea,
+  onReportPress,
+}) => {
+  const [name, setName] = useState('');
+
+  useEffect(() => {
+    setName('');
+  }, [area]);
+
+  const isSaved = !!area?.id;
+
+  const renderArea = () => {
+    if (!area) return null;
+
+    return (
+      <>
+        <Text style={styles.countText}>
+          {reports.length} {reports.length === 1 ? 'report' : 'reports'} in this area
+        </Text>
+
+        {!isSaved && (
+          <View style={styles.saveRow}>
+            <Input
+              value={name}
+              onChangeText={setName}
+              placeholder="Name this watch area"
+              style={styles.nameInput}
+            />
+            <Button
+              title="Save"
+              onPress={() => onSave(name)}
+              disabled={!name.trim()}
+              size="small"
+              style={styles.saveButton}
+            />
+          </View>
+        )}
+
+        <View style={styles.actions}>
+          <Button
+            title="Share"
+            onPress={onShare}
+            variant="outline"
+            size="small"
+            disabled={reports.length === 0}
+            style={styles.actionButton}
+          />
+          <Button
+            title="Clear Selection"
+            onPress={onClear}
+            variant="outline"
+            size="small"
+            style={styles.actionButton}
+          />
+        </View>
+
+        {reports.map((report) => {
+          const status = REPORT_STATUSES.find(stat => stat.value === report.status);
+          return (
+            <TouchableOpacity
+              key={report.id}
+              style={styles.reportRow}
+              onPress={() => onReportPress && onReportPress(report)}
+            >
+              <Text style={styles.reportTitle} numberOfLines={1}>{report.title}</Text>
+              <View style={[styles.statusBadge, { backgroundColor: status?.color || theme.colors.textSecondary }]}>
+                <Text style={styles.statusText}>{status?.label || report.status}</Text>
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+      </>
+    );
+  };
+
+  const renderWatchAreas = () => {
+    if (watchAreas.length === 0) {
+      return !area && (
+        <Text style={styles.emptyText}>
+          No watch areas yet. Use the draw tool to trace an area on the map.
+        </Text>
+      );
+    }
+
+    return (
+      <>
+        <Text style={styles.sectionTitle}>Watch areas</Text>
+        {watchAreas.map((watchArea) => (
+          <View key={watchArea.id} style={styles.watchAreaRow}>
+            <TouchableOpacity
+              style={styles.watchAreaName}
+              onPress={() => onSelectWatchArea(watchArea)}
+            >
+              <Ionicons
+                name={area?.id === watchArea.id ? 'radio-button-on' : 'radio-button-off'}
+                size={18}
+                color={theme.colors.primary}
+              />
+              <Text style={styles.watchAreaText} numberOfLines={1}>{watchArea.name}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => onDeleteWatchArea(watchArea.id)} style={styles.iconButton}>
+              <Ionicons name="trash-outline" size={18} color={theme.colors.error} />
+            </TouchableOpacity>
+          </View>
+        ))}
+      </>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.backdrop} />
+      </TouchableWithoutFeedback>
+
+      <View style={styles.sheet}>
+        <View style={styles.handle} />
+
+        <View style={styles.header}>
+          <Text style={styles.title}>{area ? area.name || 'Selected area' : 'Watch Areas'}</Text>
+          <TouchableOpacity onPress={onClose} style={styles.iconButton}>
+            <Ionicons name="close" size={24} color={theme.colors.textSecondary} />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+          {renderArea()}
+          {renderWatchAreas()}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+  },
+  sheet: {
+    maxHeight: '75%',
+    backgroundColor: theme.colors.surface,
+    borderTopLeftRadius: theme.borderRadius.xl,
+    borderTopRightRadius: theme.borderRadius.xl,
+    paddingHorizontal: theme.spacing.lg - 4,
+    paddingBottom: theme.spacing.lg,
+    ...theme.shadows.large,
+  },
+  handle: {
+    alignSelf: 'center',
+    width: 40,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: theme.colors.border,
+    marginVertical: theme.spacing.sm,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  title: {
+    flex: 1,
+    fontSize: theme.fonts.sizes.xl,
+    fontWeight: theme.fonts.weights.bold,
+    color: theme.colors.text,
+  },
+  iconButton: {
+    padding: theme.spacing.xs,
+  },
+  countText: {
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.textSecondary,
+    marginBottom: theme.spacing.sm,
+  },
+  saveRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  nameInput: {
+    flex: 1,
+    marginBottom: 0,
+  },
+  saveButton: {
+    marginLeft: theme.spacing.sm,
+  },
+  actions: {
+    flexDirection: 'row',
+    marginVertical: theme.spacing.sm,
+  },
+  actionButton: {
+    flex: 1,
+    marginRight: theme.spacing.sm,
+  },
+  reportRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  reportTitle: {
+    flex: 1,
+    marginRight: theme.spacing.sm,
+    fontSize: theme.fonts.sizes.sm,
+    fontWeight: theme.fonts.weights.medium,
+    color: theme.colors.text,
+  },
+  statusBadge: {
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: theme.spacing.xs,
+    borderRadius: theme.borderRadius.lg,
+  },
+  statusText: {
+    color: theme.colors.white,
+    fontSize: theme.fonts.sizes.xs,
+    fontWeight: theme.fonts.weights.semibold,
+  },
+  sectionTitle: {
+    fontSize: theme.fonts.sizes.md,
+    fontWeight: theme.fonts.weights.semibold,
+    color: theme.colors.text,
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.xs,
+  },
+  watchAreaRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.xs,
+  },
+  watchAreaName: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  watchAreaText: {
+    flex: 1,
+    marginLeft: theme.spacing.sm,
+    fontSize: theme.fonts.sizes.md,
+    color: theme.colors.text,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: theme.colors.textSecondary,
+    fontSize: theme.fonts.sizes.sm,
+    paddingVertical: theme.spacing.lg,
+  },
+});
+
+export default AreaSelectionSheet;
@@ -0,0 +1,150 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import { theme } from '../../config/theme';
+import { REPORT_CATEGORIES } from '../../config/api';
+import { WARD_METRICS } from '../../utils/wardMetrics';
+
+const formatValue = (value, unit) => {
+  if (unit === 'days') return value.toFixed(1);
+  return Math.round(value).toString();
+};
+
+const ChoroplethControls = ({
+  metric,
+  onMetricChange,
+  category,
+  onCategoryChange,
+  classes = [],
+  style,
+}) => {
+  const selectedMetric = WARD_METRICS.find(item => item.value === metric);
+
+  return (
+    <View style={[styles.container, style]}>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        <TouchableOpacity
+          style={[styles.chip, !metric && styles.selectedChip]}
+          onPress={() => onMetricChange(null)}
+        >
+          <Text style={[styles.chipText, !metric && styles.selectedChipText]}>Off</Text>
+        </TouchableOpacity>
+        {WARD_METRICS.map((item) => (
+          <TouchableOpacity
+            key={item.value}
+            style={[styles.chip, metric === item.value && styles.selectedChip]}
+            onPress={() => onMetricChange(item.value)}
+          >
+            <Text style={[styles.chipText, metric === item.value && styles.selectedChipText]}>
+              {item.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      {metric === 'category_reports' && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.categoryRow}>
+          {REPORT_CATEGORIES.map((item) => (
+            <TouchableOpacity
+              key={item.value}
+              style={[styles.chip, category === item.value && styles.selectedChip]}
+              onPress={() => onCategoryChange(item.value)}
+            >
+              <Text style={[styles.chipText, category === item.value && styles.selectedChipText]}>
+                {item.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      {metric && (
+        <View style={styles.legend}>
+          {classes.length === 0 ? (
+            <Text style={styles.legendEmpty}>No data for the loaded reports</Text>
+          ) : (
+            classes.map((range, index) => (
+              <View key={index} style={styles.legendItem}>
+                <View style={[styles.legendSwatch, { backgroundColor: range.color }]} />
+                <Text style={styles.legendText}>
+                  {range.min === range.max
+                    ? formatValue(range.min, selectedMetric?.unit)
+                    : `${formatValue(range.min, selectedMetric?.unit)}–${formatValue(range.max, selectedMetric?.unit)}`}
+                </Text>
+              </View>
+            ))
+          )}
+          {classes.length > 0 && (
+            <Text style={styles.legendUnit}>{selectedMetric?.unit}</Text>
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.lg,
+    padding: theme.spacing.sm,
+    ...theme.shadows.medium,
+  },
+  chip: {
+    paddingHorizontal: theme.spacing.sm + 4,
+    paddingVertical: theme.spacing.xs + 2,
+    marginRight: theme.spacing.xs + 2,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    backgroundColor: theme.colors.surface,
+  },
+  selectedChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: theme.fonts.sizes.xs,
+    color: theme.colors.primary,
+    fontWeight: theme.fonts.weights.medium,
+  },
+  selectedChipText: {
+    color: theme.colors.white,
+  },
+  categoryRow: {
+    marginTop: theme.spacing.xs + 2,
+  },
+  legend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginTop: theme.spacing.sm,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: theme.spacing.sm,
+    marginBottom: theme.spacing.xs,
+  },
+  legendSwatch: {
+    width: 14,
+    height: 14,
+    borderRadius: 3,
+    marginRight: theme.spacing.xs,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  legendText: {
+    fontSize: theme.fonts.sizes.xs,
+    color: theme.colors.textSecondary,
+  },
+  legendUnit: {
+    fontSize: theme.fonts.sizes.xs,
+    color: theme.colors.textLight,
+    marginBottom: theme.spacing.xs,
+  },
+  legendEmpty: {
+    fontSize: theme.fonts.sizes.xs,
+    color: theme.colors.textLight,
+  },
+});
+
+export default React.memo(ChoroplethControls);
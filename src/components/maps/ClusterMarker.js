@@ -0,0 +1,75 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Marker } from 'react-native-maps';
+import { theme } from '../../config/theme';
+
+const getBubbleSize = (count) => {
+  if (count >= 100) return 56;
+  if (count >= 25) return 48;
+  if (count >= 10) return 42;
+  return 36;
+};
+
+const ClusterMarker = ({ cluster, onPress }) => {
+  const size = getBubbleSize(cluster.count);
+
+  return (
+    <Marker
+      coordinate={{
+        latitude: cluster.latitude,
+        longitude: cluster.longitude,
+      }}
+      onPress={() => onPress && onPress(cluster)}
+      tracksViewChanges={false}
+    >
+      <View style={styles.container}>
+        <View style={[styles.bubble, { width: size, height: size, borderRadius: size / 2 }]}>
+          <Text style={styles.count}>{cluster.count}</Text>
+        </View>
+
+        {/* Category breakdown as a proportional colour bar */}
+        <View style={[styles.breakdown, { width: size }]}>
+          {cluster.categories.map((entry) => (
+            <View
+              key={entry.category}
+              style={{
+                flex: entry.count,
+                backgroundColor: entry.color || theme.colors.primary,
+              }}
+            />
+          ))}
+        </View>
+      </View>
+    </Marker>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: 'center',
+  },
+  bubble: {
+    backgroundColor: theme.colors.primaryDark,
+    borderWidth: 2,
+    borderColor: theme.colors.white,
+    justifyContent: 'center',
+    alignItems: 'center',
+    ...theme.shadows.small,
+  },
+  count: {
+    color: theme.colors.white,
+    fontSize: theme.fonts.sizes.sm,
+    fontWeight: theme.fonts.weights.bold,
+  },
+  breakdown: {
+    flexDirection: 'row',
+    height: 5,
+    marginTop: 2,
+    borderRadius: 2,
+    overflow: 'hidden',
+    borderWidth: 1,
+    borderColor: theme.colors.white,
+  },
+});
+
+export default React.memo(ClusterMarker);
@@ -0,0 +1,75 @@
+import React, { useState, useRef } from 'react';
+import { View, StyleSheet, PanResponder } from 'react-native';
+import { theme } from '../../config/theme';
+
+// Skip touch samples closer than this to the previous point
+const MIN_POINT_DISTANCE = 6;
+
+/**
+ * Transparent layer over the map that captures a freehand trace.
+ * Points are reported in screen coordinates relative to the overlay.
+ */
+const LassoOverlay = ({ onComplete }) => {
+  const [points, setPoints] = useState([]);
+  const pointsRef = useRef([]);
+  const onCompleteRef = useRef(onComplete);
+  onCompleteRef.current = onComplete;
+
+  const addPoint = (x, y) => {
+    const last = pointsRef.current[pointsRef.current.length - 1];
+    if (last && Math.hypot(x - last.x, y - last.y) < MIN_POINT_DISTANCE) return;
+
+    pointsRef.current = [...pointsRef.current, { x, y }];
+    setPoints(pointsRef.current);
+  };
+
+  const panResponder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderGrant: (event) => {
+        pointsRef.current = [];
+        addPoint(event.nativeEvent.locationX, event.nativeEvent.locationY);
+      },
+      onPanResponderMove: (event) => {
+        addPoint(event.nativeEvent.locationX, event.nativeEvent.locationY);
+      },
+      onPanResponderRelease: () => {
+        const traced = pointsRef.current;
+        pointsRef.current = [];
+        setPoints([]);
+        if (traced.length >= 3) {
+          onCompleteRef.current(traced);
+        }
+      },
+      onPanResponderTerminate: () => {
+        pointsRef.current = [];
+        setPoints([]);
+      },
+    })
+  ).current;
+
+  return (
+    <View style={StyleSheet.absoluteFill} {...panResponder.panHandlers}>
+      {points.map((point, index) => (
+        <View
+          key={index}
+          pointerEvents="none"
+          style={[styles.dot, { left: point.x - 3, top: point.y - 3 }]}
+        />
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  dot: {
+    position: 'absolute',
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: theme.colors.primary,
+  },
+});
+
+export default LassoOverlay;
@@ -0,0 +1,203 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  Switch,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../config/theme';
+import { REPORT_CATEGORIES, REPORT_STATUSES } from '../../config/api';
+import { DATE_RANGES } from '../../utils/reportFilters';
+import Button from '../common/Button';
+
+const MapFilterPanel = ({
+  visible,
+  filters,
+  onClose,
+  onToggleCategory,
+  onToggleStatus,
+  onChangeFilters,
+  onReset,
+}) => {
+  const renderChip = (key, label, selected, onPress, color) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, selected && styles.selectedChip]}
+      onPress={onPress}
+    >
+      {color && <View style={[styles.chipDot, { backgroundColor: color }]} />}
+      <Text style={[styles.chipText, selected && styles.selectedChipText]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.backdrop} />
+      </TouchableWithoutFeedback>
+
+      <View style={styles.sheet}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Filter Reports</Text>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="close" size={24} color={theme.colors.textSecondary} />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView showsVerticalScrollIndicator={false}>
+          <Text style={styles.sectionTitle}>Category</Text>
+          <View style={styles.chips}>
+            {REPORT_CATEGORIES.map((category) => renderChip(
+              category.value,
+              category.label,
+              !filters.excludedCategories.includes(category.value),
+              () => onToggleCategory(category.value)
+            ))}
+          </View>
+
+          <Text style={styles.sectionTitle}>Status</Text>
+          <View style={styles.chips}>
+            {REPORT_STATUSES.map((status) => renderChip(
+              status.value,
+              status.label,
+              !filters.excludedStatuses.includes(status.value),
+              () => onToggleStatus(status.value),
+              status.color
+            ))}
+          </View>
+
+          <Text style={styles.sectionTitle}>Date</Text>
+          <View style={styles.chips}>
+            {DATE_RANGES.map((range) => renderChip(
+              range.value,
+              range.label,
+              filters.dateRange === range.value,
+              () => onChangeFilters({ dateRange: range.value })
+            ))}
+          </View>
+
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>Only my reports</Text>
+            <Switch
+              value={filters.onlyMine}
+              onValueChange={(value) => onChangeFilters({ onlyMine: value })}
+              trackColor={{ true: theme.colors.primaryLight }}
+              thumbColor={filters.onlyMine ? theme.colors.primary : theme.colors.white}
+            />
+          </View>
+        </ScrollView>
+
+        <View style={styles.actions}>
+          <Button
+            title="Reset"
+            onPress={onReset}
+            variant="outline"
+            style={styles.actionButton}
+          />
+          <Button
+            title="Done"
+            onPress={onClose}
+            style={styles.actionButton}
+          />
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+  },
+  sheet: {
+    maxHeight: '75%',
+    backgroundColor: theme.colors.surface,
+    borderTopLeftRadius: theme.borderRadius.xl,
+    borderTopRightRadius: theme.borderRadius.xl,
+    padding: theme.spacing.lg - 4,
+    ...theme.shadows.large,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: theme.fonts.sizes.xl,
+    fontWeight: theme.fonts.weights.bold,
+    color: theme.colors.text,
+  },
+  closeButton: {
+    padding: theme.spacing.xs,
+  },
+  sectionTitle: {
+    fontSize: theme.fonts.sizes.md,
+    fontWeight: theme.fonts.weights.semibold,
+    color: theme.colors.text,
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: theme.spacing.sm + 4,
+    paddingVertical: theme.spacing.xs + 2,
+    marginRight: theme.spacing.xs + 2,
+    marginBottom: theme.spacing.xs + 2,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    backgroundColor: theme.colors.surface,
+  },
+  selectedChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  chipDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: theme.spacing.xs,
+  },
+  chipText: {
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.primary,
+  },
+  selectedChipText: {
+    color: theme.colors.white,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: theme.spacing.md,
+  },
+  switchLabel: {
+    fontSize: theme.fonts.sizes.md,
+    color: theme.colors.text,
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: theme.spacing.md,
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: theme.spacing.xs,
+  },
+});
+
+export default MapFilterPanel;
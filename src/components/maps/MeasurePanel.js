@@ -0,0 +1,191 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../config/theme';
+import Button from '../common/Button';
+import {
+  getPathDistance,
+  getPolygonArea,
+  formatDistance,
+  formatArea,
+} from '../../utils/measurement';
+
+const SHAPES = [
+  { value: 'line', label: 'Line', icon: 'git-commit-outline' },
+  { value: 'polygon', label: 'Area', icon: 'square-outline' },
+];
+
+const MeasurePanel = ({
+  points,
+  shape,
+  onShapeChange,
+  onUndo,
+  onClear,
+  onAttach,
+  onClose,
+  style,
+}) => {
+  const isPolygon = shape === 'polygon';
+  const distance = getPathDistance(points, isPolygon);
+  const canAttach = points.length >= (isPolygon ? 3 : 2);
+
+  return (
+    <View style={[styles.container, style]}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Measure</Text>
+        <TouchableOpacity onPress={onClose} style={styles.iconButton}>
+          <Ionicons name="close" size={22} color={theme.colors.textSecondary} />
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.shapeSwitch}>
+        {SHAPES.map((item) => {
+          const selected = shape === item.value;
+          return (
+            <TouchableOpacity
+              key={item.value}
+              style={[styles.shapeButton, selected && styles.selectedShapeButton]}
+              onPress={() => onShapeChange(item.value)}
+            >
+              <Ionicons name={item.icon} size={14} color={selected ? theme.colors.white : theme.colors.primary} />
+              <Text style={[styles.shapeText, selected && styles.selectedShapeText]}>{item.label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {points.length === 0 ? (
+        <Text style={styles.hint}>Tap the map to drop points along the problem</Text>
+      ) : (
+        <View style={styles.results}>
+          <View style={styles.result}>
+            <Text style={styles.resultValue}>{formatDistance(distance)}</Text>
+            <Text style={styles.resultLabel}>{isPolygon ? 'Perimeter' : 'Distance'}</Text>
+          </View>
+          {isPolygon && (
+            <View style={styles.result}>
+              <Text style={styles.resultValue}>
+                {points.length >= 3 ? formatArea(getPolygonArea(points)) : '—'}
+              </Text>
+              <Text style={styles.resultLabel}>Area</Text>
+            </View>
+          )}
+          <View style={styles.result}>
+            <Text style={styles.resultValue}>{points.length}</Text>
+            <Text style={styles.resultLabel}>Points</Text>
+          </View>
+        </View>
+      )}
+
+      <View style={styles.actions}>
+        <Button
+          title="Undo"
+          onPress={onUndo}
+          variant="outline"
+          size="small"
+          disabled={points.length === 0}
+          style={styles.actionButton}
+        />
+        <Button
+          title="Clear"
+          onPress={onClear}
+          variant="outline"
+          size="small"
+          disabled={points.length === 0}
+          style={styles.actionButton}
+        />
+        <Button
+          title="Attach to Report"
+          onPress={onAttach}
+          size="small"
+          disabled={!canAttach}
+          style={styles.attachButton}
+        />
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.lg,
+    padding: theme.spacing.md,
+    ...theme.shadows.medium,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: theme.fonts.sizes.md,
+    fontWeight: theme.fonts.weights.semibold,
+    color: theme.colors.text,
+  },
+  iconButton: {
+    padding: theme.spacing.xs,
+  },
+  shapeSwitch: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    borderRadius: theme.borderRadius.sm + 2,
+    overflow: 'hidden',
+    marginVertical: theme.spacing.sm,
+  },
+  shapeButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: theme.spacing.xs + 2,
+  },
+  selectedShapeButton: {
+    backgroundColor: theme.colors.primary,
+  },
+  shapeText: {
+    marginLeft: theme.spacing.xs,
+    fontSize: theme.fonts.sizes.xs,
+    color: theme.colors.primary,
+    fontWeight: theme.fonts.weights.medium,
+  },
+  selectedShapeText: {
+    color: theme.colors.white,
+  },
+  hint: {
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.textSecondary,
+    textAlign: 'center',
+    paddingVertical: theme.spacing.sm,
+  },
+  results: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingVertical: theme.spacing.xs,
+  },
+  result: {
+    alignItems: 'center',
+  },
+  resultValue: {
+    fontSize: theme.fonts.sizes.lg,
+    fontWeight: theme.fonts.weights.bold,
+    color: theme.colors.text,
+  },
+  resultLabel: {
+    fontSize: theme.fonts.sizes.xs,
+    color: theme.colors.textSecondary,
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: theme.spacing.sm,
+  },
+  actionButton: {
+    marginRight: theme.spacing.sm,
+  },
+  attachButton: {
+    flex: 1,
+  },
+});
+
+export default MeasurePanel;
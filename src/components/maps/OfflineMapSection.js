@@ -0,0 +1,261 @@
+import React, { useState, useMemo } from 'react';
+import { View, Text, Switch, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../config/theme';
+import Button from '../common/Button';
+import { useWards } from '../../hooks/useWards';
+import { useOfflineMap } from '../../hooks/useOfflineMap';
+import offlineTileService, { OFFLINE_ZOOM_PRESETS } from '../../services/offlineTileService';
+
+// Typical size of a street map tile, for the estimate shown before downloading
+const AVERAGE_TILE_BYTES = 15 * 1024;
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatDate = (time) => {
+  return new Date(time).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+const OfflineMapSection = ({ wardId, style }) => {
+  const [preset, setPreset] = useState(OFFLINE_ZOOM_PRESETS[1].value);
+  const { geoJsonData, getAllWards, loading: wardsLoading } = useWards();
+  const {
+    status,
+    downloading,
+    progress,
+    error,
+    downloadWard,
+    cancelDownload,
+    setEnabled,
+    clearOfflineMap,
+  } = useOfflineMap();
+
+  const homeWard = useMemo(() => {
+    if (!wardId || wardsLoading) return null;
+    return getAllWards().find(ward => String(ward.id) === String(wardId)) || null;
+  }, [wardId, geoJsonData, wardsLoading]);
+
+  const downloadAvailable = offlineTileService.isDownloadAvailable();
+  const zoomLevels = OFFLINE_ZOOM_PRESETS.find(item => item.value === preset).zoomLevels;
+
+  const estimatedTiles = useMemo(() => {
+    if (!homeWard) return 0;
+    return offlineTileService.getTilesForWard({ type: 'Feature', geometry: homeWard.geometry }, zoomLevels).length;
+  }, [homeWard, zoomLevels]);
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Offline Map',
+      'Remove the downloaded map from this device?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', onPress: clearOfflineMap, style: 'destructive' },
+      ]
+    );
+  };
+
+  const renderStatus = () => {
+    if (!status) return null;
+
+    return (
+      <View style={styles.statusBox}>
+        <Text style={styles.statusTitle}>{status.wardName || 'Home ward'}</Text>
+        <Text style={styles.statusText}>
+          {status.tileCount} tiles • {formatBytes(status.bytes)} on this device
+        </Text>
+        <Text style={[styles.statusText, status.isExpired && styles.expiredText]}>
+          {status.isExpired
+            ? `Expired ${formatDate(status.expiresAt)} — not shown on the map until updated`
+            : `Downloaded ${formatDate(status.downloadedAt)} • Expires ${formatDate(status.expiresAt)}`}
+        </Text>
+
+        <View style={styles.switchRow}>
+          <Text style={styles.switchLabel}>Use offline map</Text>
+          <Switch
+            value={!!status.enabled}
+            onValueChange={setEnabled}
+            trackColor={{ true: theme.colors.primaryLight }}
+            thumbColor={status.enabled ? theme.colors.primary : theme.colors.white}
+          />
+        </View>
+
+        <TouchableOpacity style={styles.deleteButton} onPress={handleDelete} disabled={downloading}>
+          <Ionicons name="trash-outline" size={16} color={theme.colors.error} />
+          <Text style={styles.deleteText}>Delete offline map</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  return (
+    <View style={[styles.container, style]}>
+      <Text style={styles.title}>Offline Map</Text>
+      <Text style={styles.description}>
+        Save the map of your home ward so it still shows when you have little or no data.
+      </Text>
+
+      {renderStatus()}
+
+      {!downloadAvailable ? (
+        <Text style={styles.hint}>
+          Offline map downloads are not available in this version of the app.
+        </Text>
+      ) : !homeWard ? (
+        <Text style={styles.hint}>
+          {wardsLoading ? 'Loading ward boundaries...' : 'Set your home address to download your ward\'s map.'}
+        </Text>
+      ) : (
+        <>
+          <View style={styles.presets}>
+            {OFFLINE_ZOOM_PRESETS.map((item) => (
+              <TouchableOpacity
+                key={item.value}
+                style={[styles.chip, preset === item.value && styles.selectedChip]}
+                onPress={() => setPreset(item.value)}
+                disabled={downloading}
+              >
+                <Text style={[styles.chipText, preset === item.value && styles.selectedChipText]}>
+                  {item.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.hint}>
+            About {estimatedTiles} tiles (~{formatBytes(estimatedTiles * AVERAGE_TILE_BYTES)}), zoom {zoomLevels[0]}–{zoomLevels[zoomLevels.length - 1]}
+          </Text>
+
+          {downloading ? (
+            <View style={styles.progressRow}>
+              <Text style={styles.progressText}>
+                Downloading {progress.done} / {progress.total || estimatedTiles} tiles...
+              </Text>
+              <Button title="Cancel" onPress={cancelDownload} variant="outline" size="small" />
+            </View>
+          ) : (
+            <Button
+              title={status ? 'Update Offline Map' : 'Download Offline Map'}
+              onPress={() => downloadWard(homeWard, zoomLevels)}
+              style={styles.downloadButton}
+            />
+          )}
+        </>
+      )}
+
+      {error && <Text style={styles.errorText}>{error}</Text>}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: theme.colors.surface,
+    padding: theme.spacing.lg - 4,
+    marginBottom: theme.spacing.md,
+  },
+  title: {
+    fontSize: theme.fonts.sizes.lg,
+    fontWeight: theme.fonts.weights.semibold,
+    color: theme.colors.text,
+  },
+  description: {
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.textSecondary,
+    marginTop: theme.spacing.xs,
+    marginBottom: theme.spacing.sm + 4,
+  },
+  statusBox: {
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.md,
+    padding: theme.spacing.sm + 4,
+    marginBottom: theme.spacing.sm + 4,
+  },
+  statusTitle: {
+    fontSize: theme.fonts.sizes.md,
+    fontWeight: theme.fonts.weights.semibold,
+    color: theme.colors.text,
+  },
+  statusText: {
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.textSecondary,
+    marginTop: theme.spacing.xs / 2,
+  },
+  expiredText: {
+    color: theme.colors.warning,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: theme.spacing.sm,
+  },
+  switchLabel: {
+    fontSize: theme.fonts.sizes.md,
+    color: theme.colors.text,
+  },
+  deleteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: theme.spacing.sm,
+  },
+  deleteText: {
+    marginLeft: theme.spacing.xs,
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.error,
+  },
+  presets: {
+    flexDirection: 'row',
+    marginBottom: theme.spacing.xs,
+  },
+  chip: {
+    paddingHorizontal: theme.spacing.sm + 4,
+    paddingVertical: theme.spacing.xs + 2,
+    marginRight: theme.spacing.xs + 2,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+  },
+  selectedChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.primary,
+  },
+  selectedChipText: {
+    color: theme.colors.white,
+  },
+  hint: {
+    fontSize: theme.fonts.sizes.xs,
+    color: theme.colors.textLight,
+    marginVertical: theme.spacing.xs,
+  },
+  progressRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: theme.spacing.sm,
+  },
+  progressText: {
+    flex: 1,
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.text,
+  },
+  downloadButton: {
+    marginTop: theme.spacing.sm,
+  },
+  errorText: {
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.error,
+    marginTop: theme.spacing.sm,
+  },
+});
+
+export default OfflineMapSection;
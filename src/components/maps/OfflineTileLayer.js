@@ -0,0 +1,23 @@
+import React from 'react';
+import { LocalTile } from 'react-native-maps';
+import offlineTileService from '../../services/offlineTileService';
+import { useOfflineMap } from '../../hooks/useOfflineMap';
+
+// Draws the downloaded base map tiles over the provider's map. Outside the
+// downloaded area there are no files, so the provider's tiles show through.
+// Expired downloads are not drawn until they are updated.
+const OfflineTileLayer = () => {
+  const { status } = useOfflineMap();
+
+  if (!status?.enabled || status.isExpired) return null;
+
+  return (
+    <LocalTile
+      pathTemplate={offlineTileService.getPathTemplate()}
+      tileSize={256}
+      zIndex={-1}
+    />
+  );
+};
+
+export default React.memo(OfflineTileLayer);
@@ -1,14 +1,63 @@
-import React, { useState, useCallback, useMemo, useRef } from 'react';
-import { View, StyleSheet, Dimensions } from 'react-native';
-import MapView, { Marker, Polygon } from 'react-native-maps';
+import React, { useState, useCallback, useMemo, useRef, useLayoutEffect } from 'react';
+import { View, Text, StyleSheet, Dimensions, Platform } from 'react-native';
+import MapView, { Marker, Polygon, Polyline, Heatmap, PROVIDER_GOOGLE } from 'react-native-maps';
 import { theme } from '../../config/theme';
-import { useGeoJSON } from '../../hooks/useGeoJSON';
-import { debounce, renderGeoJSONPolygons } from '../../utils/geoUtils';
+import { useGeoJSON, useBoundaryLayer } from '../../hooks/useGeoJSON';
+import { getBoundaryLayer, getBoundaryLayerForZoom } from '../../config/boundaryLayers';
+import {
+  debounce,
+  renderGeoJSONPolygons,
+  prioritizeFeatures,
+  regionToBBox,
+  getFeatureWardId,
+  getFeatureBBox,
+} from '../../utils/geoUtils';
+import { clusterMarkers, getClusterRegion } from '../../utils/markerClustering';
+import { buildHeatmapPoints, buildHeatmapGrid, HEATMAP_GRADIENT } from '../../utils/heatmap';
 import LoadingSpinner from '../common/LoadingSpinner';
 import ErrorMessage from '../common/ErrorMessage';
+import ClusterMarker from './ClusterMarker';
+import OfflineTileLayer from './OfflineTileLayer';
+import LassoOverlay from './LassoOverlay';
+import ReportGeometryShape from './ReportGeometryShape';
 
 const { width, height } = Dimensions.get('window');
 
+// Adaptive ward budget: each time the ward set changes, the render and commit
+// of its polygons is timed; the budget shrinks when that takes longer than a
+// frame (SLOW_RENDER_MS) and grows again under half a frame (FAST_RENDER_MS).
+// Native drawing of the overlays happens off the JS thread and isn't timed, so
+// the cap is kept conservative.
+const DEFAULT_WARD_BUDGET = 50;
+const MIN_WARD_BUDGET = 15;
+const MAX_WARD_BUDGET = 100;
+const SLOW_RENDER_MS = 16;
+const FAST_RENDER_MS = 8;
+
+// Wards without a value in choropleth mode
+const NO_DATA_FILL = 'rgba(158, 158, 158, 0.08)';
+
+const PROVINCE_LAYER = getBoundaryLayer('province');
+const MUNICIPALITY_LAYER = getBoundaryLayer('municipality');
+
+// Map bounds of a region, in the shape useGeoJSON filters and loads chunks by
+const regionToBounds = (region) => ({
+  northEast: {
+    latitude: region.latitude + region.latitudeDelta / 2,
+    longitude: region.longitude + region.longitudeDelta / 2,
+  },
+  southWest: {
+    latitude: region.latitude - region.latitudeDelta / 2,
+    longitude: region.longitude - region.longitudeDelta / 2,
+  },
+});
+
+const adjustWardBudget = (budget, renderMs) => {
+  if (renderMs > SLOW_RENDER_MS) return Math.max(MIN_WARD_BUDGET, Math.floor(budget * 0.75));
+  if (renderMs < FAST_RENDER_MS) return Math.min(MAX_WARD_BUDGET, Math.ceil(budget * 1.25));
+  return budget;
+};
+
 const OptimizedMapView = ({
   initialRegion = {
     latitude: -26.2041,
@@ -18,42 +67,76 @@ const OptimizedMapView = ({
   },
   markers = [],
   onMarkerPress,
+  enableClustering = false,
+  clusterRadius = 60,
+  markerMode = null, // 'markers' | 'clusters' | 'heatmap'; defaults from enableClustering
   onMapPress,
+  onRegionSettled,
   showWards = true,
   onWardPress,
+  maxWardPolygons = null,
+  homeWardId = null,
+  selectedWardId = null,
+  wardFillColors = null,
+  drawMode = false,
+  onDrawComplete,
+  measureMode = false,
+  measurePoints = [],
+  measureShape = 'line',
+  onMeasurePress,
   style,
   children,
   ...mapProps
 }) => {
-  const [mapBounds, setMapBounds] = useState(null);
+  // Seeded from the initial region so the first load only reads the chunks in view
+  const [mapBounds, setMapBounds] = useState(() => regionToBounds(initialRegion));
   const [currentRegion, setCurrentRegion] = useState(initialRegion);
   const [mapReady, setMapReady] = useState(false);
+  const [adaptiveWardBudget, setAdaptiveWardBudget] = useState(DEFAULT_WARD_BUDGET);
+  // Set when the ward set changes; cleared once its commit has been timed
+  const wardRenderStartRef = useRef(null);
   const mapRef = useRef(null);
 
-  // Load GeoJSON with bounds filtering for performance
+  // The debounced handler is created once, so read the latest callback through a ref
+  const onRegionSettledRef = useRef(onRegionSettled);
+  onRegionSettledRef.current = onRegionSettled;
+
+  // Load GeoJSON with bounds filtering and a detail level matching the zoom
   const { geoJsonData, loading, error, refreshGeoJSON } = useGeoJSON(
     mapBounds,
-    0.005 // Higher simplification tolerance for better performance
+    0.005, // Base tolerance used for ward lookups
+    currentRegion.latitudeDelta
   );
 
+  // Coarser boundary layers are only fetched once the map zooms out far enough to show them
+  const { latitudeDelta } = currentRegion;
+  const provinces = useBoundaryLayer('province', {
+    mapBounds,
+    latitudeDelta,
+    enabled: showWards && latitudeDelta >= PROVINCE_LAYER.minLatitudeDelta,
+  });
+  const municipalities = useBoundaryLayer('municipality', {
+    mapBounds,
+    latitudeDelta,
+    enabled: showWards && latitudeDelta >= MUNICIPALITY_LAYER.minLatitudeDelta,
+  });
+  const boundaryLayerId = getBoundaryLayerForZoom(latitudeDelta, layerId => (
+    layerId === 'province' ? provinces.available : municipalities.available
+  ));
+  const showWardLayer = showWards && boundaryLayerId === 'ward';
+
   // Debounced region change handler to avoid excessive API calls
   const debouncedRegionChange = useMemo(
     () => debounce((region) => {
       setCurrentRegion(region);
       
       // Calculate bounds for GeoJSON filtering
-      const bounds = {
-        northEast: {
-          latitude: region.latitude + region.latitudeDelta / 2,
-          longitude: region.longitude + region.longitudeDelta / 2,
-        },
-        southWest: {
-          latitude: region.latitude - region.latitudeDelta / 2,
-          longitude: region.longitude - region.longitudeDelta / 2,
-        },
-      };
-      
+      const bounds = regionToBounds(region);
       setMapBounds(bounds);
+
+      if (onRegionSettledRef.current) {
+        onRegionSettledRef.current(region, bounds);
+      }
     }, 500),
     []
   );
@@ -69,12 +152,28 @@ const OptimizedMapView = ({
     setMapReady(true);
   }, []);
 
+  const wardBudget = maxWardPolygons || adaptiveWardBudget;
+  const displayMode = markerMode || (enableClustering ? 'clusters' : 'markers');
+
+  // The native heatmap needs Google Maps: always on Android, opt-in on iOS
+  const nativeHeatmap = !!Heatmap && (Platform.OS === 'android' || mapProps.provider === PROVIDER_GOOGLE);
+
+  // Rank wards by how much of the screen they cover; home and selected wards are always kept
+  const wardSelection = useMemo(() => {
+    if (!showWardLayer || !geoJsonData?.features) return { features: [], hiddenCount: 0 };
+
+    const pinnedIds = [homeWardId, selectedWardId].filter(id => id !== null && id !== undefined);
+    return prioritizeFeatures(geoJsonData.features, regionToBBox(currentRegion), wardBudget, pinnedIds);
+  }, [geoJsonData, showWardLayer, currentRegion, wardBudget, homeWardId, selectedWardId]);
+
   // Memoized ward polygons using native Polygon components
   const wardPolygons = useMemo(() => {
-    if (!showWards || !geoJsonData || loading || !mapReady) return null;
+    if (!showWardLayer || !geoJsonData || loading || !mapReady) return null;
 
     try {
-      const polygons = renderGeoJSONPolygons(geoJsonData, {
+      wardRenderStartRef.current = Date.now();
+
+      const polygons = renderGeoJSONPolygons({ ...geoJsonData, features: wardSelection.features }, {
         strokeColor: theme.colors.primary,
         fillColor: 'rgba(33, 150, 243, 0.1)',
         strokeWidth: 1,
@@ -83,31 +182,140 @@ const OptimizedMapView = ({
         }),
       });
 
-      // Limit the number of polygons rendered at once for performance
-      const maxPolygons = 50;
-      const limitedPolygons = polygons.slice(0, maxPolygons);
+      return polygons.map((polygon) => {
+        const wardId = String(getFeatureWardId(polygon.feature));
+        const isSelected = selectedWardId !== null && wardId === String(selectedWardId);
+        const fillColor = wardFillColors ? (wardFillColors[wardId] || NO_DATA_FILL) : polygon.fillColor;
+
+        return (
+          <Polygon
+            key={polygon.id}
+            coordinates={polygon.coordinates}
+            holes={polygon.holes}
+            strokeColor={isSelected ? theme.colors.primaryDark : polygon.strokeColor}
+            fillColor={isSelected && !wardFillColors ? 'rgba(33, 150, 243, 0.25)' : fillColor}
+            strokeWidth={isSelected ? 3 : polygon.strokeWidth}
+            onPress={polygon.onPress}
+            tappable={!!polygon.onPress && !measureMode}
+          />
+        );
+      });
+    } catch (polygonError) {
+      console.warn('Error rendering ward polygons:', polygonError);
+      return null;
+    }
+  }, [geoJsonData, wardSelection, selectedWardId, wardFillColors, showWardLayer, loading, mapReady, onWardPress, measureMode]);
 
-      return limitedPolygons.map((polygon) => (
+  // Tapping a province or municipality zooms in on it
+  const zoomToBoundary = useCallback((feature) => {
+    const bbox = getFeatureBBox(feature);
+    if (!bbox || !mapRef.current) return;
+
+    mapRef.current.animateToRegion({
+      latitude: (bbox[1] + bbox[3]) / 2,
+      longitude: (bbox[0] + bbox[2]) / 2,
+      latitudeDelta: (bbox[3] - bbox[1]) * 1.2,
+      longitudeDelta: (bbox[2] - bbox[0]) * 1.2,
+    }, 350);
+  }, []);
+
+  // Province or municipality outlines when zoomed out past the ward layer
+  const regionPolygons = useMemo(() => {
+    if (!showWards || !mapReady || boundaryLayerId === 'ward') return null;
+
+    const layerData = boundaryLayerId === 'province' ? provinces.geoJsonData : municipalities.geoJsonData;
+    if (!layerData?.features) return null;
+
+    try {
+      const { features } = prioritizeFeatures(layerData.features, regionToBBox(currentRegion), wardBudget);
+      return renderGeoJSONPolygons({ ...layerData, features }, {
+        strokeColor: theme.colors.primaryDark,
+        fillColor: 'rgba(25, 118, 210, 0.06)',
+        strokeWidth: 2,
+        onPress: zoomToBoundary,
+      }).map((polygon) => (
         <Polygon
-          key={polygon.id}
+          key={`${boundaryLayerId}-${polygon.id}`}
           coordinates={polygon.coordinates}
+          holes={polygon.holes}
           strokeColor={polygon.strokeColor}
           fillColor={polygon.fillColor}
           strokeWidth={polygon.strokeWidth}
           onPress={polygon.onPress}
-          tappable={!!polygon.onPress}
+          tappable={!measureMode}
         />
       ));
     } catch (polygonError) {
-      console.warn('Error rendering ward polygons:', polygonError);
+      console.warn(`Error rendering ${boundaryLayerId} polygons:`, polygonError);
       return null;
     }
-  }, [geoJsonData, showWards, loading, mapReady, onWardPress]);
+  }, [
+    showWards,
+    mapReady,
+    boundaryLayerId,
+    provinces.geoJsonData,
+    municipalities.geoJsonData,
+    currentRegion,
+    wardBudget,
+    zoomToBoundary,
+    measureMode,
+  ]);
+
+  // Runs straight after the commit that added the new ward set, before the
+  // frame is painted, so the timing covers that render and commit and no idle time
+  useLayoutEffect(() => {
+    if (maxWardPolygons || wardRenderStartRef.current === null) return;
+
+    const renderMs = Date.now() - wardRenderStartRef.current;
+    wardRenderStartRef.current = null;
+    setAdaptiveWardBudget(budget => adjustWardBudget(budget, renderMs));
+  }, [wardPolygons, maxWardPolygons]);
+
+  // Group nearby markers for the current zoom level when clustering is enabled
+  const { clusters, singles } = useMemo(() => {
+    if (displayMode === 'heatmap') return { clusters: [], singles: [] };
+    if (displayMode !== 'clusters') return { clusters: [], singles: markers };
+    return clusterMarkers(markers, currentRegion, { radius: clusterRadius, mapWidth: width });
+  }, [markers, displayMode, currentRegion, clusterRadius]);
+
+  const heatmapPoints = useMemo(() => (
+    displayMode === 'heatmap' ? buildHeatmapPoints(markers) : []
+  ), [markers, displayMode]);
+
+  // Without a native layer the heat is drawn as grid cells, rebuilt for each region
+  const heatmapLayer = useMemo(() => {
+    if (displayMode !== 'heatmap' || !heatmapPoints.length) return null;
+
+    if (nativeHeatmap) {
+      return (
+        <Heatmap
+          points={heatmapPoints}
+          radius={40}
+          opacity={0.7}
+          gradient={HEATMAP_GRADIENT}
+        />
+      );
+    }
+
+    return buildHeatmapGrid(heatmapPoints, currentRegion).map((cell) => (
+      <Polygon
+        key={cell.id}
+        coordinates={cell.coordinates}
+        fillColor={cell.color}
+        strokeWidth={0}
+        strokeColor="transparent"
+      />
+    ));
+  }, [displayMode, heatmapPoints, nativeHeatmap, currentRegion]);
+
+  const handleClusterPress = useCallback((cluster) => {
+    mapRef.current?.animateToRegion(getClusterRegion(cluster), 350);
+  }, []);
 
   // Memoized markers for performance
   const renderedMarkers = useMemo(() => {
     try {
-      return markers.map((marker, index) => (
+      return singles.map((marker, index) => (
         <Marker
           key={marker.id || index}
           coordinate={{
@@ -124,7 +332,88 @@ const OptimizedMapView = ({
       console.warn('Error rendering markers:', markerError);
       return [];
     }
-  }, [markers, onMarkerPress]);
+  }, [singles, onMarkerPress]);
+
+  // Line and area reports keep their shape on the map even when the pin is clustered
+  const renderedGeometries = useMemo(() => {
+    if (displayMode === 'heatmap') return [];
+
+    return markers
+      .filter(marker => marker.geometry && marker.geometry.type !== 'Point')
+      .map((marker, index) => (
+        <ReportGeometryShape
+          key={`geometry-${marker.id || index}`}
+          geometry={marker.geometry}
+          color={marker.color || theme.colors.primary}
+          onPress={onMarkerPress ? () => onMarkerPress(marker) : undefined}
+        />
+      ));
+  }, [markers, displayMode, onMarkerPress]);
+
+  const renderedClusters = useMemo(() => (
+    clusters.map((cluster) => (
+      <ClusterMarker
+        key={cluster.id}
+        cluster={cluster}
+        onPress={handleClusterPress}
+      />
+    ))
+  ), [clusters, handleClusterPress]);
+
+  // In measure mode taps drop points instead of reaching the caller
+  const handleMapPress = useCallback((event) => {
+    if (measureMode) {
+      if (onMeasurePress) onMeasurePress(event.nativeEvent.coordinate);
+      return;
+    }
+    if (onMapPress) onMapPress(event);
+  }, [measureMode, onMeasurePress, onMapPress]);
+
+  const measureLayer = useMemo(() => {
+    if (!measureMode || measurePoints.length === 0) return null;
+
+    const closed = measureShape === 'polygon' && measurePoints.length >= 3;
+    return (
+      <>
+        {closed ? (
+          <Polygon
+            coordinates={measurePoints}
+            strokeColor={theme.colors.secondary}
+            fillColor="rgba(255, 87, 34, 0.15)"
+            strokeWidth={3}
+          />
+        ) : (
+          <Polyline
+            coordinates={measurePoints}
+            strokeColor={theme.colors.secondary}
+            strokeWidth={3}
+          />
+        )}
+        {measurePoints.map((point, index) => (
+          <Marker
+            key={`measure-${index}`}
+            coordinate={point}
+            anchor={{ x: 0.5, y: 0.5 }}
+            tracksViewChanges={false}
+          >
+            <View style={styles.measurePoint} />
+          </Marker>
+        ))}
+      </>
+    );
+  }, [measureMode, measurePoints, measureShape]);
+
+  // Convert the traced screen points to coordinates once the finger lifts
+  const handleLassoComplete = useCallback(async (points) => {
+    if (!mapRef.current || !onDrawComplete) return;
+
+    try {
+      const path = await Promise.all(points.map(point => mapRef.current.coordinateForPoint(point)));
+      onDrawComplete(path, currentRegion);
+    } catch (lassoError) {
+      console.warn('Error converting lasso path:', lassoError);
+    }
+  }, [onDrawComplete, currentRegion]);
 
   if (error && !geoJsonData) {
     return (
@@ -146,7 +435,7 @@ const OptimizedMapView = ({
         initialRegion={initialRegion}
         onRegionChangeComplete={handleRegionChangeComplete}
         onMapReady={handleMapReady}
-        onPress={onMapPress}
+        onPress={handleMapPress}
         showsUserLocation={true}
         showsMyLocationButton={true}
         loadingEnabled={true}
@@ -157,11 +446,27 @@ const OptimizedMapView = ({
         maxZoomLevel={18} // Limit zoom for performance
         {...mapProps}
       >
+        <OfflineTileLayer />
+        {mapReady && regionPolygons}
         {mapReady && wardPolygons}
+        {mapReady && renderedGeometries}
         {mapReady && renderedMarkers}
+        {mapReady && renderedClusters}
+        {mapReady && heatmapLayer}
+        {mapReady && measureLayer}
         {children}
       </MapView>
 
+      {mapReady && drawMode && <LassoOverlay onComplete={handleLassoComplete} />}
+
+      {mapReady && wardSelection.hiddenCount > 0 && (
+        <View style={styles.hiddenWardsBanner} pointerEvents="none">
+          <Text style={styles.hiddenWardsText}>
+            {wardSelection.hiddenCount} more {wardSelection.hiddenCount === 1 ? 'ward' : 'wards'} hidden — zoom in
+          </Text>
+        </View>
+      )}
+
       {(loading && !mapReady) && (
         <View style={styles.loadingOverlay}>
           <LoadingSpinner message="Loading map data..." />
@@ -178,6 +483,28 @@ const styles = StyleSheet.create({
   map: {
     flex: 1,
   },
+  hiddenWardsBanner: {
+    position: 'absolute',
+    top: theme.spacing.sm,
+    alignSelf: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.xs + 2,
+    borderRadius: theme.borderRadius.lg,
+  },
+  hiddenWardsText: {
+    color: theme.colors.white,
+    fontSize: theme.fonts.sizes.xs,
+    fontWeight: theme.fonts.weights.medium,
+  },
+  measurePoint: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: theme.colors.white,
+    borderWidth: 3,
+    borderColor: theme.colors.secondary,
+  },
   loadingOverlay: {
     position: 'absolute',
     top: 0,
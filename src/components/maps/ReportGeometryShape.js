@@ -0,0 +1,51 @@
+import React from 'react';
+import { Polygon, Polyline } from 'react-native-maps';
+import { theme } from '../../config/theme';
+import { geometryToPoints } from '../../utils/measurement';
+
+// Translucent fill for #RRGGBB colours; anything else falls back to the default tint
+const toFillColor = (color) => (
+  /^#[0-9a-f]{6}$/i.test(color) ? `${color}33` : 'rgba(33, 150, 243, 0.2)'
+);
+
+/**
+ * Draws a report's line or area geometry on a map. Point geometries are
+ * left to the caller's Marker.
+ */
+const ReportGeometryShape = ({
+  geometry,
+  color = theme.colors.primary,
+  strokeWidth = 3,
+  onPress,
+}) => {
+  const points = geometryToPoints(geometry);
+
+  if (geometry?.type === 'Polygon' && points.length >= 3) {
+    return (
+      <Polygon
+        coordinates={points}
+        strokeColor={color}
+        fillColor={toFillColor(color)}
+        strokeWidth={strokeWidth}
+        tappable={!!onPress}
+        onPress={onPress}
+      />
+    );
+  }
+
+  if (geometry?.type === 'LineString' && points.length >= 2) {
+    return (
+      <Polyline
+        coordinates={points}
+        strokeColor={color}
+        strokeWidth={strokeWidth}
+        tappable={!!onPress}
+        onPress={onPress}
+      />
+    );
+  }
+
+  return null;
+};
+
+export default React.memo(ReportGeometryShape);
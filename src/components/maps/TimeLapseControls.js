@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  PanResponder,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../config/theme';
+import { REPORT_STATUSES } from '../../config/api';
+
+const FRAME_INTERVAL_MS = 150;
+
+const formatDate = (time) => {
+  return new Date(time).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+const TimeLapseControls = ({
+  start,
+  end,
+  step,
+  value,
+  onChange,
+  onClose,
+  loading = false,
+  progress = 0,
+  visibleCount = 0,
+  style,
+}) => {
+  const [playing, setPlaying] = useState(false);
+  const [trackWidth, setTrackWidth] = useState(0);
+
+  // PanResponder handlers are created once, so read the latest values through a ref
+  const latestRef = useRef({});
+  latestRef.current = { start, end, step, value, onChange, trackWidth };
+
+  const span = Math.max(1, end - start);
+  const fraction = Math.max(0, Math.min(1, (value - start) / span));
+
+  useEffect(() => {
+    if (!playing) return;
+
+    const timer = setInterval(() => {
+      const { value: current, end: to, step: increment, onChange: change } = latestRef.current;
+      const next = Math.min(to, current + increment);
+      change(next);
+      if (next >= to) setPlaying(false);
+    }, FRAME_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [playing]);
+
+  const seekTo = (x) => {
+    const { start: from, end: to, step: increment, onChange: change, trackWidth: widthPx } = latestRef.current;
+    if (!widthPx) return;
+
+    const ratio = Math.max(0, Math.min(1, x / widthPx));
+    // Snap to whole steps so the date label does not jitter
+    const time = from + Math.round((ratio * (to - from)) / increment) * increment;
+    change(Math.min(to, time));
+  };
+
+  const panResponder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderGrant: (event) => {
+        setPlaying(false);
+        seekTo(event.nativeEvent.locationX);
+      },
+      onPanResponderMove: (event) => seekTo(event.nativeEvent.locationX),
+    })
+  ).current;
+
+  const handlePlayPress = () => {
+    // Start again from the beginning once the end is reached
+    if (!playing && value >= end) {
+      onChange(start);
+    }
+    setPlaying(!playing);
+  };
+
+  return (
+    <View style={[styles.container, style]}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          onPress={handlePlayPress}
+          style={styles.playButton}
+          disabled={loading}
+        >
+          <Ionicons name={playing ? 'pause' : 'play'} size={20} color={theme.colors.white} />
+        </TouchableOpacity>
+        <View style={styles.dateInfo}>
+          <Text style={styles.dateText}>{formatDate(value)}</Text>
+          <Text style={styles.countText}>
+            {loading
+              ? `Loading status history... ${Math.round(progress * 100)}%`
+              : `${visibleCount} ${visibleCount === 1 ? 'report' : 'reports'}`}
+          </Text>
+        </View>
+        {loading && <ActivityIndicator size="small" color={theme.colors.primary} />}
+        <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+          <Ionicons name="close" size={22} color={theme.colors.textSecondary} />
+        </TouchableOpacity>
+      </View>
+
+      <View
+        style={styles.trackArea}
+        onLayout={(event) => setTrackWidth(event.nativeEvent.layout.width)}
+        {...panResponder.panHandlers}
+      >
+        <View style={styles.track} pointerEvents="none">
+          <View style={[styles.trackFill, { width: `${fraction * 100}%` }]} />
+        </View>
+        <View
+          pointerEvents="none"
+          style={[styles.thumb, { left: fraction * trackWidth - 8 }]}
+        />
+      </View>
+
+      <View style={styles.rangeLabels}>
+        <Text style={styles.rangeText}>{formatDate(start)}</Text>
+        <Text style={styles.rangeText}>{formatDate(end)}</Text>
+      </View>
+
+      <View style={styles.statusLegend}>
+        {REPORT_STATUSES.map((status) => (
+          <View key={status.value} style={styles.statusItem}>
+            <View style={[styles.statusDot, { backgroundColor: status.color }]} />
+            <Text style={styles.statusText}>{status.label}</Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.lg,
+    padding: theme.spacing.md,
+    ...theme.shadows.medium,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  playButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: theme.colors.primary,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dateInfo: {
+    flex: 1,
+    marginLeft: theme.spacing.sm + 4,
+  },
+  dateText: {
+    fontSize: theme.fonts.sizes.md,
+    fontWeight: theme.fonts.weights.semibold,
+    color: theme.colors.text,
+  },
+  countText: {
+    fontSize: theme.fonts.sizes.xs,
+    color: theme.colors.textSecondary,
+    marginTop: 2,
+  },
+  closeButton: {
+    padding: theme.spacing.xs,
+    marginLeft: theme.spacing.xs,
+  },
+  trackArea: {
+    height: 32,
+    justifyContent: 'center',
+    marginTop: theme.spacing.sm,
+  },
+  track: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: theme.colors.border,
+    overflow: 'hidden',
+  },
+  trackFill: {
+    height: 4,
+    backgroundColor: theme.colors.primary,
+  },
+  thumb: {
+    position: 'absolute',
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    backgroundColor: theme.colors.primary,
+    borderWidth: 2,
+    borderColor: theme.colors.white,
+  },
+  rangeLabels: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  rangeText: {
+    fontSize: theme.fonts.sizes.xs,
+    color: theme.colors.textLight,
+  },
+  statusLegend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: theme.spacing.sm,
+  },
+  statusItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: theme.spacing.sm + 4,
+    marginTop: theme.spacing.xs,
+  },
+  statusDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: theme.spacing.xs,
+  },
+  statusText: {
+    fontSize: theme.fonts.sizes.xs,
+    color: theme.colors.textSecondary,
+  },
+});
+
+export default TimeLapseControls;
@@ -0,0 +1,328 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../config/theme';
+import { REPORT_CATEGORIES, REPORT_STATUSES } from '../../config/api';
+import reportService from '../../services/reportService';
+import municipalityService from '../../services/municipalityService';
+import Button from '../common/Button';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ErrorMessage from '../common/ErrorMessage';
+
+const LATEST_REPORTS_COUNT = 5;
+
+const WardSummarySheet = ({
+  ward,
+  visible,
+  onClose,
+  onFilterToWard,
+  onReportPress,
+}) => {
+  const [reports, setReports] = useState([]);
+  const [municipalityName, setMunicipalityName] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchWardSummary = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const result = await reportService.getReports({ ward_id: ward.id, limit: 100 });
+      setReports(result.reports || []);
+
+      // Prefer the municipality record when the ward links to one
+      const { municipalityId } = ward;
+      if (municipalityId) {
+        try {
+          const municipality = await municipalityService.getMunicipalityById(municipalityId);
+          setMunicipalityName(municipality?.municipality?.name || municipality?.name || null);
+        } catch (municipalityError) {
+          console.log('Could not load municipality:', municipalityError.message);
+        }
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (visible && ward?.id) {
+      setReports([]);
+      setMunicipalityName(null);
+      fetchWardSummary();
+    }
+  }, [visible, ward?.id]);
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
+  const categoryCounts = REPORT_CATEGORIES.map((category) => {
+    const categoryReports = reports.filter(report => report.category === category.value);
+    const resolved = categoryReports.filter(report => report.status === 'resolved').length;
+    return {
+      ...category,
+      open: categoryReports.length - resolved,
+      resolved,
+    };
+  }).filter(category => category.open + category.resolved > 0);
+
+  const latestReports = [...reports]
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, LATEST_REPORTS_COUNT);
+
+  const renderContent = () => {
+    if (loading) {
+      return <LoadingSpinner message="Loading ward summary..." />;
+    }
+
+    if (error) {
+      return (
+        <ErrorMessage
+          message={error}
+          onRetry={fetchWardSummary}
+          retryText="Retry"
+        />
+      );
+    }
+
+    if (reports.length === 0) {
+      return <Text style={styles.emptyText}>No reports in this ward yet</Text>;
+    }
+
+    return (
+      <>
+        <Text style={styles.sectionTitle}>Reports by category</Text>
+        <View style={styles.countsHeader}>
+          <Text style={[styles.countsLabel, styles.countsCategory]}>Category</Text>
+          <Text style={styles.countsLabel}>Open</Text>
+          <Text style={styles.countsLabel}>Resolved</Text>
+        </View>
+        {categoryCounts.map((category) => (
+          <View key={category.value} style={styles.countsRow}>
+            <View style={[styles.countsCategory, styles.categoryCell]}>
+              <Ionicons name={category.icon} size={16} color={theme.colors.primary} />
+              <Text style={styles.categoryText}>{category.label}</Text>
+            </View>
+            <Text style={styles.countValue}>{category.open}</Text>
+            <Text style={styles.countValue}>{category.resolved}</Text>
+          </View>
+        ))}
+
+        <Text style={styles.sectionTitle}>Latest reports</Text>
+        {latestReports.map((report) => {
+          const status = REPORT_STATUSES.find(stat => stat.value === report.status);
+          return (
+            <TouchableOpacity
+              key={report.id}
+              style={styles.reportRow}
+              onPress={() => onReportPress && onReportPress(report)}
+            >
+              <View style={styles.reportInfo}>
+                <Text style={styles.reportTitle} numberOfLines={1}>{report.title}</Text>
+                <Text style={styles.reportDate}>{formatDate(report.created_at)}</Text>
+              </View>
+              <View style={[styles.statusBadge, { backgroundColor: status?.color || theme.colors.textSecondary }]}>
+                <Text style={styles.statusText}>{status?.label || report.status}</Text>
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+      </>
+    );
+  };
+
+  if (!ward) return null;
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.backdrop} />
+      </TouchableWithoutFeedback>
+
+      <View style={styles.sheet}>
+        <View style={styles.handle} />
+
+        <View style={styles.header}>
+          <View style={styles.headerText}>
+            <Text style={styles.wardName}>{ward.name}</Text>
+            {(municipalityName || ward.municipality) && (
+              <Text style={styles.municipality}>{municipalityName || ward.municipality}</Text>
+            )}
+          </View>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="close" size={24} color={theme.colors.textSecondary} />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+          {renderContent()}
+        </ScrollView>
+
+        {onFilterToWard && (
+          <Button
+            title="Filter map to this ward"
+            onPress={() => onFilterToWard(ward)}
+            variant="outline"
+            style={styles.filterButton}
+          />
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+  },
+  sheet: {
+    maxHeight: '70%',
+    backgroundColor: theme.colors.surface,
+    borderTopLeftRadius: theme.borderRadius.xl,
+    borderTopRightRadius: theme.borderRadius.xl,
+    paddingHorizontal: theme.spacing.lg - 4,
+    paddingBottom: theme.spacing.lg,
+    ...theme.shadows.large,
+  },
+  handle: {
+    alignSelf: 'center',
+    width: 40,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: theme.colors.border,
+    marginVertical: theme.spacing.sm,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: theme.spacing.sm,
+  },
+  headerText: {
+    flex: 1,
+  },
+  wardName: {
+    fontSize: theme.fonts.sizes.xl,
+    fontWeight: theme.fonts.weights.bold,
+    color: theme.colors.text,
+  },
+  municipality: {
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.textSecondary,
+    marginTop: theme.spacing.xs / 2,
+  },
+  closeButton: {
+    padding: theme.spacing.xs,
+  },
+  content: {
+    flexGrow: 0,
+  },
+  sectionTitle: {
+    fontSize: theme.fonts.sizes.md,
+    fontWeight: theme.fonts.weights.semibold,
+    color: theme.colors.text,
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+  },
+  countsHeader: {
+    flexDirection: 'row',
+    paddingBottom: theme.spacing.xs,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  countsLabel: {
+    width: 70,
+    textAlign: 'center',
+    fontSize: theme.fonts.sizes.xs,
+    color: theme.colors.textLight,
+  },
+  countsCategory: {
+    flex: 1,
+    textAlign: 'left',
+  },
+  countsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.xs + 2,
+  },
+  categoryCell: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  categoryText: {
+    marginLeft: theme.spacing.xs + 2,
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.text,
+  },
+  countValue: {
+    width: 70,
+    textAlign: 'center',
+    fontSize: theme.fonts.sizes.sm,
+    fontWeight: theme.fonts.weights.semibold,
+    color: theme.colors.text,
+  },
+  reportRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  reportInfo: {
+    flex: 1,
+    marginRight: theme.spacing.sm,
+  },
+  reportTitle: {
+    fontSize: theme.fonts.sizes.sm,
+    fontWeight: theme.fonts.weights.medium,
+    color: theme.colors.text,
+  },
+  reportDate: {
+    fontSize: theme.fonts.sizes.xs,
+    color: theme.colors.textLight,
+    marginTop: 2,
+  },
+  statusBadge: {
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: theme.spacing.xs,
+    borderRadius: theme.borderRadius.lg,
+  },
+  statusText: {
+    color: theme.colors.white,
+    fontSize: theme.fonts.sizes.xs,
+    fontWeight: theme.fonts.weights.semibold,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: theme.colors.textSecondary,
+    fontSize: theme.fonts.sizes.sm,
+    paddingVertical: theme.spacing.lg,
+  },
+  filterButton: {
+    marginTop: theme.spacing.md,
+  },
+});
+
+export default WardSummarySheet;
@@ -25,6 +25,9 @@ export const API_ENDPOINTS = {
   MUNICIPALITIES: '/api/municipalities',
   MUNICIPALITY_BY_ID: '/api/municipalities/{id}',
   MUNICIPALITY_REPORTS: '/api/municipalities/{id}/reports',
+
+  // Wards
+  WARDS: '/api/wards',
   
   // Status Updates
   STATUS_UPDATES: '/api/reports/{reportId}/status',
@@ -0,0 +1,116 @@
+import { ENV } from './constants';
+import { getActiveWardDataset } from './wardDatasets';
+
+const WARD_DATASET = getActiveWardDataset();
+
+const WARD_URL_SOURCE = { type: 'url', url: WARD_DATASET.url };
+
+// The backend's wards table, with the dataset's own URL kept as a fallback
+const WARD_SOURCE = ENV.WARD_SOURCE === 'url'
+  ? WARD_URL_SOURCE
+  : { type: 'wards', municipalityId: ENV.WARD_MUNICIPALITY_ID, fallback: WARD_URL_SOURCE };
+
+/**
+ * Administrative boundary layers, coarsest first.
+ *
+ * Each layer has its own source, cache key and simplification settings, and is
+ * cached on disk in tiles at its chunkZoom (see boundaryCacheService). It is
+ * drawn while the map's latitudeDelta is within [minLatitudeDelta, maxLatitudeDelta).
+ * Sources are loaded by boundaryService:
+ *   { type: 'url', url }        GeoJSON FeatureCollection at a URL
+ *   { type: 'municipalities' }  GET /api/municipalities?include_geojson=true
+ *   { type: 'wards' }           GET /api/wards, optionally one municipality's wards,
+ *                               synced incrementally by created_at; `fallback` is
+ *                               loaded when the backend can't be used
+ * Features are normalised with the layer's schema (see applyWardSchema), so
+ * every layer exposes the same canonical `id`/`name` fields. A `bundledAsset`
+ * is a heavily simplified copy shipped with the app (see
+ * scripts/build-offline-boundaries.js), used until the source has been loaded.
+ */
+export const BOUNDARY_LAYERS = [
+  {
+    id: 'province',
+    label: 'Provinces',
+    source: { type: 'url', url: ENV.PROVINCE_BOUNDARIES_URL },
+    cacheKey: 'cached_province_geojson',
+    chunkZoom: 4,
+    simplificationTolerance: 0.01,
+    detailLevels: [
+      { tolerance: 0.01, maxLatitudeDelta: 8 },
+      { tolerance: 0.05, maxLatitudeDelta: Infinity },
+    ],
+    minLatitudeDelta: 4,
+    maxLatitudeDelta: Infinity,
+    schema: {
+      id: { from: ['id', 'code', 'PR_CODE', 'PROVINCE'], required: true },
+      name: { from: ['name', 'PR_NAME', 'PROVINCE'], default: '{id}' },
+    },
+  },
+  {
+    id: 'municipality',
+    label: 'Municipalities',
+    source: { type: 'municipalities' },
+    bundledAsset: require('../../assets/boundaries/municipalities.geojson'),
+    cacheKey: 'cached_municipality_geojson',
+    chunkZoom: 6,
+    simplificationTolerance: 0.002,
+    detailLevels: [
+      { tolerance: 0.002, maxLatitudeDelta: 1.5 },
+      { tolerance: 0.01, maxLatitudeDelta: Infinity },
+    ],
+    minLatitudeDelta: 0.6,
+    maxLatitudeDelta: 4,
+    schema: {
+      id: { from: ['id'], required: true },
+      name: { from: ['name'], required: true },
+      province: { from: ['province'] },
+    },
+  },
+  {
+    id: 'ward',
+    label: 'Wards',
+    source: WARD_SOURCE,
+    bundledAsset: require('../../assets/boundaries/wards.geojson'),
+    dataset: WARD_DATASET,
+    cacheKey: 'cached_wards_geojson',
+    chunkZoom: 8,
+    simplificationTolerance: 0.005,
+    // Pre-simplified rendering levels, picked by the map's latitudeDelta (finest first)
+    detailLevels: [
+      { tolerance: 0.0005, maxLatitudeDelta: 0.05 },
+      { tolerance: 0.001, maxLatitudeDelta: 0.2 },
+      { tolerance: 0.005, maxLatitudeDelta: 1 },
+      { tolerance: 0.02, maxLatitudeDelta: Infinity },
+    ],
+    minLatitudeDelta: 0,
+    maxLatitudeDelta: 0.6,
+    schema: WARD_DATASET.schema,
+  },
+];
+
+export const getBoundaryLayer = (layerId) => BOUNDARY_LAYERS.find(layer => layer.id === layerId);
+
+/**
+ * Whether a layer has a source to load from; provinces need PROVINCE_BOUNDARIES_URL
+ * @param {Object} layer - Entry from BOUNDARY_LAYERS
+ * @returns {boolean}
+ */
+export const isBoundaryLayerConfigured = (layer) => (
+  !!layer && (layer.source.type !== 'url' || !!layer.source.url)
+);
+
+/**
+ * Picks the layer to draw at a zoom level. When the layer for that zoom isn't
+ * available, the next finer one is used, ending with wards.
+ * @param {number} latitudeDelta - Current map latitudeDelta
+ * @param {Function} isAvailable - Called with a layer id
+ * @returns {string} Layer id
+ */
+export const getBoundaryLayerForZoom = (latitudeDelta, isAvailable = () => true) => {
+  const start = BOUNDARY_LAYERS.findIndex(layer => (
+    latitudeDelta >= layer.minLatitudeDelta && latitudeDelta < layer.maxLatitudeDelta
+  ));
+  const candidates = BOUNDARY_LAYERS.slice(start < 0 ? BOUNDARY_LAYERS.length - 1 : start);
+  const layer = candidates.find(candidate => candidate.id === 'ward' || isAvailable(candidate.id));
+  return layer ? layer.id : 'ward';
+};
@@ -9,6 +9,17 @@ export const ENV = {
   API_BASE_URL: getEnvVar('API_BASE_URL', 'http://localhost:3000/api'),
   SUPABASE_URL: getEnvVar('SUPABASE_URL'),
   SUPABASE_ANON_KEY: getEnvVar('SUPABASE_ANON_KEY'),
+  // Raster tiles for the offline map, from a provider that allows bulk downloads;
+  // offline map downloads are disabled when unset
+  MAP_TILE_URL: getEnvVar('MAP_TILE_URL'),
+  // Key into WARD_DATASETS (src/config/wardDatasets.js)
+  WARD_DATASET: getEnvVar('WARD_DATASET', 'za-wards'),
+  // 'backend' reads wards from GET /api/wards, falling back to the dataset URL; 'url' skips the backend
+  WARD_SOURCE: getEnvVar('WARD_SOURCE', 'backend'),
+  // Optional municipality id to only load that municipality's wards from the backend
+  WARD_MUNICIPALITY_ID: getEnvVar('WARD_MUNICIPALITY_ID'),
+  // Optional GeoJSON of province boundaries for the zoomed-out map
+  PROVINCE_BOUNDARIES_URL: getEnvVar('PROVINCE_BOUNDARIES_URL'),
 };
 
 // Validate required environment variables
@@ -0,0 +1,43 @@
+import { ENV } from './constants';
+
+/**
+ * Ward boundary datasets the app can load.
+ *
+ * Each dataset declares how its feature properties map onto the canonical
+ * ward shape used throughout the app:
+ *   { id, name, municipality, municipalityId, municipalityCode, province }
+ *
+ * `municipalityId` is the backend municipality uuid; `municipalityCode` is
+ * the Municipal Demarcation Board code (e.g. CAT_B "JHB") and is never sent
+ * to the API as an id.
+ *
+ * A field mapping lists the source property names to try in order (`from`),
+ * whether the field is `required`, an optional `type` ('string' | 'number')
+ * to coerce to, and an optional `default` template where `{field}` is
+ * replaced by an already mapped canonical field.
+ */
+export const WARD_DATASETS = {
+  'za-wards': {
+    name: 'South African municipal wards',
+    url: 'https://raw.githubusercontent.com/Thabang-777/wards-geojson/main/wards.geojson',
+    schema: {
+      id: { from: ['id', 'WARD_ID', 'ward_id', 'WardID'], required: true },
+      name: { from: ['name', 'WARD_NAME', 'ward_name'], default: 'Ward {id}' },
+      municipality: { from: ['municipality', 'MUNICIPALITY', 'mun_name', 'LocalMunic'] },
+      municipalityId: { from: ['municipality_id'] },
+      municipalityCode: { from: ['CAT_B', 'municipality_code'] },
+      province: { from: ['province', 'PROVINCE', 'Province'] },
+    },
+  },
+};
+
+export const DEFAULT_WARD_DATASET = 'za-wards';
+
+/**
+ * The dataset selected by the WARD_DATASET environment variable
+ * @returns {Object} Dataset config with its `id`
+ */
+export const getActiveWardDataset = () => {
+  const id = WARD_DATASETS[ENV.WARD_DATASET] ? ENV.WARD_DATASET : DEFAULT_WARD_DATASET;
+  return { id, ...WARD_DATASETS[id] };
+};
@@ -0,0 +1,80 @@
+import { useCallback, useMemo, useRef } from 'react';
+import { useBoundaryLayer } from './useGeoJSON';
+import { findBoundaryHierarchy, WARD_FALLBACK_DISTANCE } from '../utils/geoUtils';
+
+// Wide enough around the point to also hold the wards findNearbyWards falls back to
+const POINT_PADDING_DEGREES = (WARD_FALLBACK_DISTANCE * 2) / 111320;
+
+/**
+ * Bounds of a small box around a point, in the mapBounds shape useBoundaryLayer takes
+ * @param {Object} point - {latitude, longitude}
+ * @returns {Object} {northEast, southWest}
+ */
+const getPointBounds = ({ latitude, longitude }) => {
+  const lngPadding = POINT_PADDING_DEGREES / Math.cos(latitude * Math.PI / 180);
+  return {
+    northEast: { latitude: latitude + POINT_PADDING_DEGREES, longitude: longitude + lngPadding },
+    southWest: { latitude: latitude - POINT_PADDING_DEGREES, longitude: longitude - lngPadding },
+  };
+};
+
+/**
+ * Province → municipality → ward lookups for one point. Each layer only reads
+ * the cached chunks around the point, so a picker doesn't load whole layers.
+ * @param {Object} options
+ * @param {Object} options.point - {latitude, longitude} to look up; nothing is loaded until it is set
+ * @param {boolean} options.loadWards - Load the ward layer too; callers that already
+ *   resolve wards (e.g. through useWards) can pass the ward to the lookup instead
+ */
+export const useBoundaryHierarchy = ({ point = null, loadWards = true } = {}) => {
+  const pointLatitude = point?.latitude;
+  const pointLongitude = point?.longitude;
+
+  // Clearing the point keeps the last chunks; no bounds would mean reading whole layers
+  const lastBoundsRef = useRef(null);
+  const pointBounds = useMemo(() => {
+    if (Number.isFinite(pointLatitude) && Number.isFinite(pointLongitude)) {
+      lastBoundsRef.current = getPointBounds({ latitude: pointLatitude, longitude: pointLongitude });
+    }
+    return lastBoundsRef.current;
+  }, [pointLatitude, pointLongitude]);
+
+  const {
+    geoJsonData: provinceData,
+    loading: provincesLoading,
+    loadingChunks: provinceChunksLoading,
+  } = useBoundaryLayer('province', { mapBounds: pointBounds, enabled: !!pointBounds });
+  const {
+    geoJsonData: municipalityData,
+    loading: municipalitiesLoading,
+    loadingChunks: municipalityChunksLoading,
+  } = useBoundaryLayer('municipality', { mapBounds: pointBounds, enabled: !!pointBounds });
+  const {
+    geoJsonData: wardData,
+    loading: wardsLoading,
+    loadingChunks: wardChunksLoading,
+  } = useBoundaryLayer('ward', { mapBounds: pointBounds, enabled: loadWards && !!pointBounds });
+
+  // Stable between renders so callers can list it as an effect dependency; the
+  // few features around the point are scanned without a spatial index
+  const findHierarchyByLocation = useCallback((latitude, longitude, ward = null) => {
+    try {
+      if (!latitude || !longitude) return null;
+
+      return findBoundaryHierarchy({ latitude, longitude }, {
+        province: { geoJsonData: provinceData },
+        municipality: { geoJsonData: municipalityData },
+        ward: { geoJsonData: wardData },
+      }, ward);
+    } catch (error) {
+      console.warn('Error finding boundary hierarchy:', error);
+      return null;
+    }
+  }, [provinceData, municipalityData, wardData]);
+
+  return {
+    loading: provincesLoading || municipalitiesLoading || wardsLoading
+      || provinceChunksLoading || municipalityChunksLoading || wardChunksLoading,
+    findHierarchyByLocation,
+  };
+};
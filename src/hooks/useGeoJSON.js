@@ -1,116 +1,598 @@
-import { useState, useEffect, useMemo } from 'react';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { simplifyGeoJSON, filterGeoJSONByBounds } from '../utils/geoUtils';
+import { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  simplifyGeoJSON,
+  filterGeoJSONByBounds,
+  buildFeatureIndex,
+  addFeatureBBoxes,
+  getToleranceForZoom,
+  boundsToBBox,
+  bboxesIntersect,
+} from '../utils/geoUtils';
+import { applyWardSchema, describeSchemaReport, WARD_SCHEMA_VERSION } from '../utils/wardSchema';
+import { repairGeoJSON, describeRepairReport, GEOMETRY_REPAIR_VERSION } from '../utils/geometryRepair';
+import { getBoundaryLayer, isBoundaryLayerConfigured } from '../config/boundaryLayers';
+import boundaryService from '../services/boundaryService';
+import boundaryCacheService, { BASE_LEVEL, RAW_LEVEL } from '../services/boundaryCacheService';
+import { hashString } from '../utils/contentHash';
 
-const GEOJSON_CACHE_KEY = 'cached_wards_geojson';
 const CACHE_EXPIRY_HOURS = 24;
-const GEOJSON_URL = 'https://raw.githubusercontent.com/Thabang-777/wards-geojson/main/wards.geojson';
 
-export const useGeoJSON = (mapBounds = null, simplificationTolerance = 0.005) => {
-  const [geoJsonData, setGeoJsonData] = useState(null);
+// Incremental syncs only see newly created wards, so everything is re-read this often
+const FULL_SYNC_DAYS = 7;
+
+// Chunks kept in memory for a viewport, so panning back doesn't hit the disk again
+const MAX_LOADED_CHUNKS = 64;
+
+const EMPTY_CHUNKS = { build: null, level: null, chunks: {} };
+
+const WARD_LAYER = getBoundaryLayer('ward');
+
+// Pre-simplified ward rendering levels, picked by the map's latitudeDelta (finest first)
+export const GEOJSON_DETAIL_LEVELS = WARD_LAYER.detailLevels;
+
+/**
+ * Cached data was normalised, repaired, simplified and chunked with particular settings; any change means reloading
+ * @param {Object} layer - Entry from BOUNDARY_LAYERS
+ * @param {number} baseTolerance - Tolerance of the cached base dataset
+ * @returns {string}
+ */
+const getCacheSignature = (layer, baseTolerance) => JSON.stringify({
+  source: layer.source,
+  schema: layer.schema,
+  schemaVersion: WARD_SCHEMA_VERSION,
+  repairVersion: GEOMETRY_REPAIR_VERSION,
+  tolerance: baseTolerance,
+  levels: layer.detailLevels.map(({ tolerance }) => tolerance),
+  chunkZoom: layer.chunkZoom,
+  // Caches without the raw level can't be re-simplified after an incremental sync
+  rawLevel: true,
+});
+
+/**
+ * The parts of a cache index worth showing in diagnostics
+ * @param {Object} index - Cache index
+ * @returns {Object} {datasetVersion, contentHash, etag, lastModified, fetchedAt, validatedAt}
+ */
+const getCacheInfo = ({ datasetVersion, contentHash, etag, lastModified, syncedAt, fetchedAt, validatedAt }) => ({
+  datasetVersion: datasetVersion || null,
+  contentHash: contentHash || null,
+  etag: etag || null,
+  lastModified: lastModified || null,
+  syncedAt: syncedAt || null,
+  fetchedAt,
+  validatedAt,
+});
+
+/**
+ * Validators sent with a revalidation; `syncedAt` is dropped when a full sync is due
+ * @param {Object} cached - Cache index
+ * @returns {Object} {etag, lastModified, syncedAt}
+ */
+const getValidators = (cached) => {
+  if (!cached) return {};
+
+  const fullSyncDue = Date.now() - cached.fetchedAt > FULL_SYNC_DAYS * 24 * 60 * 60 * 1000;
+  return {
+    etag: cached.etag,
+    lastModified: cached.lastModified,
+    syncedAt: fullSyncDue ? null : cached.syncedAt,
+  };
+};
+
+/**
+ * Repairs the layer's polygons before simplification, logging what was changed
+ * @param {Object} layer - Entry from BOUNDARY_LAYERS
+ * @param {Object} geojson - GeoJSON after schema mapping
+ * @returns {Object} {geojson, report} from repairGeoJSON
+ */
+const repairLayerGeoJSON = (layer, geojson) => {
+  const result = repairGeoJSON(geojson);
+  console.log(`${layer.label} geometry checked:`, describeRepairReport(result.report));
+  if (result.report.issueCount > 0) {
+    console.warn(`${layer.label} geometry issues:`, result.report.issues.slice(0, 5));
+  }
+  return result;
+};
+
+/**
+ * Simplifies the raw dataset for every detail level other than the base tolerance
+ * @param {Object} rawGeoJSON - Unsimplified GeoJSON
+ * @param {Array} detailLevels - Levels from the layer config
+ * @param {number} baseTolerance - Tolerance of the base dataset, which is not duplicated
+ * @returns {Object} Map of tolerance to simplified GeoJSON
+ */
+const buildDetailLevels = (rawGeoJSON, detailLevels, baseTolerance) => {
+  const levels = {};
+
+  detailLevels.forEach(({ tolerance }) => {
+    if (tolerance === baseTolerance) return;
+    levels[tolerance] = addFeatureBBoxes(simplifyGeoJSON(rawGeoJSON, tolerance));
+  });
+
+  return levels;
+};
+
+/**
+ * Every level written to the cache: the raw dataset, the base dataset and the
+ * detail levels. The whole layer is simplified in one go so borders shared by
+ * neighbouring features stay identical.
+ * @param {Object} layer - Entry from BOUNDARY_LAYERS
+ * @param {Object} rawGeoJSON - Repaired, unsimplified GeoJSON
+ * @param {number} baseTolerance - Tolerance of the base dataset
+ * @returns {Object} Map of level key to GeoJSON for boundaryCacheService.write
+ */
+const buildCacheLevels = (layer, rawGeoJSON, baseTolerance) => {
+  // Simplify the GeoJSON to improve performance with higher tolerance
+  const simplifiedGeoJSON = addFeatureBBoxes(simplifyGeoJSON(rawGeoJSON, baseTolerance));
+  console.log('GeoJSON simplified');
+
+  const levels = buildDetailLevels(rawGeoJSON, layer.detailLevels, baseTolerance);
+  console.log('GeoJSON detail levels built:', Object.keys(levels).join(', '));
+
+  return {
+    [RAW_LEVEL]: addFeatureBBoxes(rawGeoJSON),
+    [BASE_LEVEL]: simplifiedGeoJSON,
+    ...levels,
+  };
+};
+
+/**
+ * Drops the oldest chunks outside the viewport once too many are loaded
+ * @param {Object} chunks - Map of chunk key to {bbox, features}, oldest first
+ * @param {Set} requiredKeys - Chunks in the current viewport
+ * @returns {Object} Trimmed map
+ */
+const trimLoadedChunks = (chunks, requiredKeys) => {
+  const keys = Object.keys(chunks);
+  if (keys.length <= MAX_LOADED_CHUNKS) return chunks;
+
+  const spare = keys.filter(key => !requiredKeys.has(key));
+  const dropped = new Set(spare.slice(0, keys.length - MAX_LOADED_CHUNKS));
+  return Object.fromEntries(Object.entries(chunks).filter(([key]) => !dropped.has(key)));
+};
+
+/**
+ * Loads one boundary layer from BOUNDARY_LAYERS.
+ *
+ * The processed layer is cached on disk in chunks (see boundaryCacheService).
+ * With mapBounds only the chunks intersecting the viewport are read, at the
+ * detail level for the zoom; without them the whole base dataset and its
+ * stored spatial index are used for lookups, shared with every other hook
+ * doing lookups on the layer. Before the first download, the layer's bundled
+ * offline copy is shown so lookups work without a connection.
+ * @param {string} layerId - 'province', 'municipality' or 'ward'
+ * @param {Object} options
+ * @param {Object} options.mapBounds - Optional viewport bounds to load and filter features by
+ * @param {number} options.simplificationTolerance - Tolerance of the base dataset used for lookups;
+ *   defaults to the layer's own setting
+ * @param {number} options.latitudeDelta - Optional current zoom; picks a rendering detail level
+ * @param {boolean} options.enabled - The layer is only fetched once this is true
+ */
+export const useBoundaryLayer = (layerId, {
+  mapBounds = null,
+  simplificationTolerance = null,
+  latitudeDelta = null,
+  enabled = true,
+} = {}) => {
+  const layer = getBoundaryLayer(layerId);
+  const configured = isBoundaryLayerConfigured(layer);
+  const baseTolerance = simplificationTolerance || layer.simplificationTolerance;
+
+  const [cacheIndex, setCacheIndex] = useState(null);
+  const [bundledData, setBundledData] = useState(null);
+  const [loadedChunks, setLoadedChunks] = useState(EMPTY_CHUNKS);
+  const [lookupData, setLookupData] = useState(null);
+  const [chunksLoading, setChunksLoading] = useState(false);
+  const [schemaReport, setSchemaReport] = useState(null);
+  const [repairReport, setRepairReport] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [requested, setRequested] = useState(false);
+  const [stale, setStale] = useState(false);
+  const [revalidating, setRevalidating] = useState(false);
+  const [cacheHealth, setCacheHealth] = useState(null);
 
-  // Load and cache GeoJSON data
+  // The chunk loader reads this to skip chunks that are already in memory
+  const loadedChunksRef = useRef(loadedChunks);
+  loadedChunksRef.current = loadedChunks;
+
+  // Load and cache GeoJSON data the first time the layer is needed
   useEffect(() => {
-    loadGeoJSON();
-  }, []);
+    if (enabled && configured && !requested) {
+      setRequested(true);
+      loadGeoJSON();
+    }
+  }, [enabled, configured, requested]);
+
+  const applyCacheIndex = (index) => {
+    setCacheIndex(index);
+    setSchemaReport(index.schemaReport || null);
+    setRepairReport(index.repairReport || null);
+  };
+
+  /**
+   * Serves the cached copy straight away, then revalidates it against the source
+   * once it is older than CACHE_EXPIRY_HOURS (or when forced). A failed
+   * revalidation keeps the stale copy; only a missing cache falls back to no data.
+   * @param {Object} options
+   * @param {boolean} options.force - Revalidate even if the cached copy is fresh,
+   *   and rebuild it if any chunk file has gone missing
+   */
+  const loadGeoJSON = async ({ force = false } = {}) => {
+    let cached = null;
+    let bundled = null;
 
-  const loadGeoJSON = async () => {
     try {
       setLoading(true);
       setError(null);
 
-      // Try to load from cache first
-      const cachedData = await getCachedGeoJSON();
-      if (cachedData) {
-        console.log('Loading GeoJSON from cache');
-        setGeoJsonData(cachedData);
+      cached = await getCachedIndex();
+      if (cached && force) {
+        const health = await boundaryCacheService.checkHealth(layer, cached);
+        setCacheHealth(health);
+        if (!health.healthy) {
+          // Validators would only confirm the broken copy, so download it again
+          console.warn(`${layer.label} cache is missing ${health.missing.length} chunks, rebuilding`);
+          await boundaryCacheService.clear(layer);
+          cached = null;
+        }
+      }
+
+      if (cached) {
+        console.log(`Loading ${layer.id} GeoJSON from cache`);
+        applyCacheIndex(cached);
+        setStale(false);
         setLoading(false);
+
+        const cacheAge = (Date.now() - cached.validatedAt) / (1000 * 60 * 60); // hours
+        if (!force && cacheAge <= CACHE_EXPIRY_HOURS) {
+          console.log('Cache valid, age:', cacheAge.toFixed(2), 'hours');
+          return;
+        }
+
+        console.log(`Revalidating cached ${layer.id} GeoJSON, age:`, cacheAge.toFixed(2), 'hours');
+        setRevalidating(true);
+      } else if (layer.bundledAsset) {
+        // Nothing cached yet (e.g. first launch): show the bundled copy while downloading
+        bundled = bundledData || await loadBundledGeoJSON();
+        if (bundled) {
+          setBundledData(bundled);
+          setLoading(false);
+          setRevalidating(true);
+        }
+      }
+
+      console.log(`Loading ${layer.id} GeoJSON from ${layer.source.type} source`);
+      let result = await boundaryService.fetchLayer(layer, getValidators(cached));
+
+      // Unchanged upstream: keep the cached chunks and just record the check
+      const unchanged = result.notModified
+        || (result.incremental ? !result.geojson.features.length : result.contentHash === cached?.contentHash);
+      if (cached && unchanged) {
+        console.log(`${layer.label} data unchanged, keeping cached copy`);
+        const index = await boundaryCacheService.saveIndex(layer, {
+          ...cached,
+          etag: result.etag || cached.etag,
+          lastModified: result.lastModified || cached.lastModified,
+          syncedAt: result.syncedAt || cached.syncedAt,
+          validatedAt: Date.now(),
+        });
+        setCacheIndex(index);
         return;
       }
 
-      console.log('Loading GeoJSON from remote URL');
-      // Load from remote URL with timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
+      if (cached && result.incremental) {
+        const mergedIndex = await mergeIntoCache(cached, result);
+        if (mergedIndex) {
+          applyCacheIndex(mergedIndex);
+          setStale(false);
+          return;
+        }
 
-      const response = await fetch(GEOJSON_URL, {
-        signal: controller.signal,
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (!response.ok) {
-        throw new Error(`Failed to fetch GeoJSON: ${response.status}`);
+        // Without the cached raw geometry the delta can't be merged, so reload everything
+        console.warn(`Cached ${layer.id} raw geometry is unavailable, running a full sync`);
+        result = await boundaryService.fetchLayer(layer, {});
+      }
+
+      if (result.notModified) {
+        throw new Error(`${layer.label} source answered 304 without a cached copy`);
+      }
+
+      const sourceGeoJSON = result.geojson;
+      console.log('GeoJSON loaded, features count:', sourceGeoJSON.features?.length || 0);
+
+      // Map the dataset's own property names onto the canonical boundary fields
+      const { geojson: mappedGeoJSON, report } = applyWardSchema(sourceGeoJSON, layer.schema, layer.dataset?.id || layer.id);
+      console.log(`${layer.label} schema applied:`, describeSchemaReport(report));
+      if (report.errorCount > 0) {
+        console.warn(`${layer.label} schema errors:`, report.errors.slice(0, 5));
       }
-      
-      const rawGeoJSON = await response.json();
-      console.log('GeoJSON loaded, features count:', rawGeoJSON.features?.length || 0);
-
-      // Simplify the GeoJSON to improve performance with higher tolerance
-      const simplifiedGeoJSON = simplifyGeoJSON(rawGeoJSON, simplificationTolerance);
-      console.log('GeoJSON simplified');
-
-      // Cache the simplified data
-      await cacheGeoJSON(simplifiedGeoJSON);
-      console.log('GeoJSON cached');
-      
-      setGeoJsonData(simplifiedGeoJSON);
+      if (report.total > 0 && report.valid === 0) {
+        setSchemaReport(report);
+        throw new Error(`${layer.label} data does not match its schema: ${report.errors[0]?.message}`);
+      }
+
+      // Broken rings would otherwise be skipped silently by lookups and rendering
+      const { geojson: rawGeoJSON, report: geometryReport } = repairLayerGeoJSON(layer, mappedGeoJSON);
+      if (geometryReport.total > 0 && geometryReport.valid === 0) {
+        setRepairReport(geometryReport);
+        throw new Error(`${layer.label} data has no usable boundaries: ${geometryReport.issues[0]?.message}`);
+      }
+
+      const now = Date.now();
+      const index = await boundaryCacheService.write(layer, buildCacheLevels(layer, rawGeoJSON, baseTolerance), {
+        schema: getCacheSignature(layer, baseTolerance),
+        schemaReport: report,
+        repairReport: geometryReport,
+        etag: result.etag,
+        lastModified: result.lastModified,
+        contentHash: result.contentHash,
+        datasetVersion: result.version,
+        syncedAt: result.syncedAt || null,
+        fetchedAt: now,
+        validatedAt: now,
+      });
+
+      applyCacheIndex(index);
+      setStale(false);
     } catch (err) {
-      console.error('Failed to load GeoJSON:', err);
+      console.error(`Failed to load ${layer.id} GeoJSON:`, err);
       if (err.name === 'AbortError') {
         setError('Request timed out. Please check your internet connection.');
       } else {
         setError(err.message);
       }
-      // Set empty GeoJSON to allow app to continue working
-      setGeoJsonData({ type: 'FeatureCollection', features: [] });
+
+      if (cached) {
+        // Stale-while-revalidate: the cached copy is still better than nothing
+        console.warn(`Keeping stale ${layer.id} GeoJSON from cache`);
+        setStale(true);
+      } else if (bundled) {
+        console.warn(`Using bundled ${layer.id} GeoJSON until the source can be reached`);
+        setStale(true);
+      } else {
+        // No index leaves the layer empty, which lets the app continue working
+        setCacheIndex(null);
+        setLoadedChunks(EMPTY_CHUNKS);
+        setLookupData(null);
+      }
     } finally {
       setLoading(false);
+      setRevalidating(false);
     }
   };
 
-  const getCachedGeoJSON = async () => {
+  /**
+   * Folds the wards added since the last sync into the cached raw geometry,
+   * replacing cached wards with the same id, then re-simplifies the whole layer.
+   * Simplifying only the new wards would let their borders drift from the
+   * cached neighbours they share them with.
+   * @param {Object} cached - Cache index
+   * @param {Object} result - Incremental result from boundaryService.fetchLayer
+   * @returns {Promise<Object|null>} The new cache index, or null if the cached raw geometry can't be read
+   */
+  const mergeIntoCache = async (cached, result) => {
+    if (!cached.levels?.[RAW_LEVEL]) return null;
+
+    let cachedFeatures;
     try {
-      const cached = await AsyncStorage.getItem(GEOJSON_CACHE_KEY);
-      if (!cached) return null;
+      cachedFeatures = await boundaryCacheService.readLevel(layer, cached, RAW_LEVEL);
+    } catch (readError) {
+      console.warn(`Failed to read cached ${layer.id} raw geometry:`, readError);
+      return null;
+    }
 
-      const { data, timestamp } = JSON.parse(cached);
-      const now = Date.now();
-      const cacheAge = (now - timestamp) / (1000 * 60 * 60); // hours
+    const { geojson: mappedGeoJSON, report } = applyWardSchema(result.geojson, layer.schema, layer.dataset?.id || layer.id);
+    console.log(`${layer.label} incremental sync:`, describeSchemaReport(report));
+    if (report.errorCount > 0) {
+      console.warn(`${layer.label} schema errors:`, report.errors.slice(0, 5));
+    }
+    const { geojson: deltaGeoJSON } = repairLayerGeoJSON(layer, mappedGeoJSON);
+    const updatedIds = new Set(deltaGeoJSON.features.map(feature => feature.properties.id));
+
+    const rawGeoJSON = {
+      type: 'FeatureCollection',
+      features: [
+        ...cachedFeatures.filter(feature => !updatedIds.has(feature.properties?.id)),
+        ...deltaGeoJSON.features,
+      ],
+    };
+
+    // The rest of the index (reports, full download time) carries over
+    return boundaryCacheService.write(layer, buildCacheLevels(layer, rawGeoJSON, baseTolerance), {
+      ...cached,
+      contentHash: hashString(`${cached.contentHash}:${result.contentHash}`),
+      syncedAt: result.syncedAt,
+      validatedAt: Date.now(),
+    });
+  };
 
-      if (cacheAge > CACHE_EXPIRY_HOURS) {
-        console.log('Cache expired, removing');
-        await AsyncStorage.removeItem(GEOJSON_CACHE_KEY);
+  /**
+   * Normalises the layer's bundled offline copy, which is already simplified
+   * @returns {Promise<Object|null>} GeoJSON, or null if there is no usable bundle
+   */
+  const loadBundledGeoJSON = async () => {
+    try {
+      const { geojson } = await boundaryService.fetchBundledLayer(layer);
+      const { geojson: mapped, report } = applyWardSchema(geojson, layer.schema, layer.dataset?.id || layer.id);
+      const { geojson: repaired } = repairLayerGeoJSON(layer, mapped);
+      if (repaired.features.length === 0) {
+        console.warn(`Bundled ${layer.id} GeoJSON has no features; run npm run build:offline-boundaries before releasing`);
         return null;
       }
 
-      console.log('Cache valid, age:', cacheAge.toFixed(2), 'hours');
-      return data;
+      console.log(`Loaded bundled ${layer.id} GeoJSON:`, describeSchemaReport(report));
+      return addFeatureBBoxes(repaired);
     } catch (error) {
-      console.warn('Failed to load cached GeoJSON:', error);
+      console.warn(`Failed to load bundled ${layer.id} GeoJSON:`, error);
       return null;
     }
   };
 
-  const cacheGeoJSON = async (data) => {
-    try {
-      const cacheData = {
-        data,
-        timestamp: Date.now()
-      };
-      await AsyncStorage.setItem(GEOJSON_CACHE_KEY, JSON.stringify(cacheData));
-      console.log('GeoJSON cached successfully');
-    } catch (error) {
-      console.warn('Failed to cache GeoJSON:', error);
+  const getCachedIndex = async () => {
+    const index = await boundaryCacheService.getIndex(layer);
+    if (!index) return null;
+
+    // Expiry no longer removes the cache; it is revalidated instead
+    if (index.schema !== getCacheSignature(layer, baseTolerance)) {
+      console.log('Cache was built with a different source, schema, tolerance or chunk size, removing');
+      await boundaryCacheService.clear(layer);
+      return null;
+    }
+
+    return index;
+  };
+
+  // Pick the pre-simplified level for the current zoom, falling back to the base dataset
+  const levelTolerance = getToleranceForZoom(latitudeDelta, layer.detailLevels);
+  const level = cacheIndex?.levels?.[levelTolerance] ? String(levelTolerance) : BASE_LEVEL;
+  const viewportBBox = useMemo(() => boundsToBBox(mapBounds), [mapBounds]);
+  // Lookups read the whole base level through boundaryCacheService.getLookupData
+  const lookupMode = !viewportBBox && level === BASE_LEVEL;
+
+  const requiredChunks = useMemo(() => {
+    const chunks = cacheIndex?.levels?.[level] || [];
+    return viewportBBox ? chunks.filter(chunk => bboxesIntersect(chunk.bbox, viewportBBox)) : chunks;
+  }, [cacheIndex, level, viewportBBox]);
+
+  // Another screen may have rebuilt the cache underneath this one; otherwise chunks are missing
+  const handleUnreadableChunks = async (build, missing) => {
+    const storedIndex = await boundaryCacheService.getIndex(layer);
+    if (storedIndex && storedIndex.build !== build && storedIndex.schema === cacheIndex.schema) {
+      return storedIndex;
     }
+    setCacheHealth(previous => ({
+      ...previous,
+      healthy: false,
+      build,
+      missing,
+      checkedAt: Date.now(),
+    }));
+    return null;
   };
 
+  // Lookups share the layer's base level and stored spatial index with every other hook
+  useEffect(() => {
+    if (!cacheIndex || !lookupMode) return undefined;
+
+    let cancelled = false;
+    const { build } = cacheIndex;
+
+    setChunksLoading(true);
+    boundaryCacheService.getLookupData(layer, cacheIndex)
+      .then(data => {
+        if (!cancelled) setLookupData(data);
+      })
+      .catch(async lookupError => {
+        console.warn(`Failed to load ${layer.id} lookup data:`, lookupError);
+        const storedIndex = await handleUnreadableChunks(build, lookupError.missing || []);
+        if (cancelled) return;
+        if (storedIndex) {
+          applyCacheIndex(storedIndex);
+        } else {
+          setLookupData({ build, geoJsonData: { type: 'FeatureCollection', features: [] }, spatialIndex: null });
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setChunksLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [cacheIndex, lookupMode]);
+
+  // Read the chunks the viewport needs that aren't in memory yet
+  useEffect(() => {
+    if (!cacheIndex || lookupMode) return undefined;
+
+    let cancelled = false;
+    const { build } = cacheIndex;
+    const requiredKeys = new Set(requiredChunks.map(chunk => chunk.key));
+
+    const loadChunks = async () => {
+      const current = loadedChunksRef.current;
+      const inMemory = current.build === build && current.level === level ? current.chunks : {};
+      const missing = requiredChunks.filter(chunk => !inMemory[chunk.key]);
+      if (missing.length === 0) {
+        // Nothing to read, e.g. an empty viewport, but the new build is now the one shown
+        if (current.build !== build) setLoadedChunks({ build, level, chunks: {} });
+        return;
+      }
+
+      setChunksLoading(true);
+      const chunks = {};
+      const failed = [];
+
+      // One chunk at a time keeps each parse short enough not to stall the JS thread
+      for (const chunk of missing) {
+        const features = await boundaryCacheService.readChunk(layer, cacheIndex, level, chunk.key);
+        if (features) {
+          chunks[chunk.key] = { bbox: chunk.bbox, features };
+        } else {
+          failed.push(`${level}/${chunk.key}`);
+        }
+      }
+
+      if (failed.length > 0) {
+        const storedIndex = await handleUnreadableChunks(build, failed);
+        if (storedIndex) {
+          if (!cancelled) applyCacheIndex(storedIndex);
+          return;
+        }
+      }
+
+      setLoadedChunks(previous => {
+        const isCurrent = previous.build === build && previous.level === level;
+        // A newer viewport has moved on to another level; drop this late result
+        if (cancelled && !isCurrent) return previous;
+
+        const merged = { ...(isCurrent ? previous.chunks : {}), ...chunks };
+        return {
+          build,
+          level,
+          chunks: trimLoadedChunks(merged, requiredKeys),
+        };
+      });
+    };
+
+    loadChunks()
+      .catch(chunkError => console.warn(`Failed to load ${layer.id} chunks:`, chunkError))
+      .finally(() => {
+        if (!cancelled) setChunksLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [cacheIndex, level, requiredChunks, lookupMode]);
+
+  // Features of every loaded chunk touching the viewport; while a new level is
+  // loading the previous level's chunks (or the bundled copy) stay on screen
+  const geoJsonData = useMemo(() => {
+    if (!cacheIndex) {
+      if (bundledData) return bundledData;
+      return requested && !loading ? { type: 'FeatureCollection', features: [] } : null;
+    }
+
+    if (lookupMode) {
+      return lookupData?.build === cacheIndex.build ? lookupData.geoJsonData : bundledData;
+    }
+
+    const chunks = Object.values(loadedChunks.chunks)
+      .filter(chunk => !viewportBBox || bboxesIntersect(chunk.bbox, viewportBBox));
+    if (chunks.length === 0 && loadedChunks.build !== cacheIndex.build) return bundledData;
+
+    return {
+      type: 'FeatureCollection',
+      features: chunks.flatMap(chunk => chunk.features),
+    };
+  }, [cacheIndex, bundledData, loadedChunks, lookupData, lookupMode, viewportBBox, requested, loading]);
+
   // Filter GeoJSON based on map bounds for performance
   const filteredGeoJSON = useMemo(() => {
     if (!geoJsonData || !mapBounds) return geoJsonData;
-    
+
     try {
       return filterGeoJSONByBounds(geoJsonData, mapBounds);
     } catch (error) {
@@ -119,15 +601,67 @@ export const useGeoJSON = (mapBounds = null, simplificationTolerance = 0.005) =>
     }
   }, [geoJsonData, mapBounds]);
 
-  const refreshGeoJSON = () => {
-    AsyncStorage.removeItem(GEOJSON_CACHE_KEY);
-    loadGeoJSON();
+  // Lookups get the stored index over the whole base dataset; viewport subsets are small
+  // enough to scan, and only the small bundled copy is indexed here
+  const spatialIndex = useMemo(() => {
+    if (!lookupMode) return null;
+    if (cacheIndex && lookupData?.build === cacheIndex.build) return lookupData.spatialIndex;
+    return geoJsonData === bundledData ? buildFeatureIndex(bundledData) : null;
+  }, [lookupMode, cacheIndex, lookupData, geoJsonData, bundledData]);
+
+  /**
+   * Revalidates the layer and checks that its chunk files are intact. Rather than
+   * clearing the cache, so a failed refresh keeps the current data.
+   * @returns {Promise<Object|null>} Cache health {healthy, build, chunkCount, missing, bytes, checkedAt}
+   */
+  const refreshGeoJSON = async () => {
+    setRequested(true);
+    await loadGeoJSON({ force: true });
+
+    const index = await boundaryCacheService.getIndex(layer);
+    const health = index ? await boundaryCacheService.checkHealth(layer, index) : null;
+    setCacheHealth(health);
+    return health;
   };
 
   return {
+    layer,
+    // False when the layer has no source configured, or its data came back empty
+    available: configured && (cacheIndex
+      ? cacheIndex.featureCount > 0
+      : !!bundledData?.features?.length),
     geoJsonData: filteredGeoJSON,
-    loading,
+    // Indexes the full base dataset when no mapBounds are given
+    spatialIndex,
+    // How the dataset's properties were mapped; see WardDataDebugScreen
+    schemaReport,
+    // What the geometry check fixed, rejected or flagged
+    repairReport,
+    // Lookups need every chunk, so they count as loading until all are read
+    loading: loading || (!viewportBBox && chunksLoading),
+    // True while viewport chunks are being read from disk
+    loadingChunks: chunksLoading,
     error,
+    // True while showing a cached or bundled copy that could not be revalidated
+    stale,
+    // True while the bundled offline copy is shown in place of the source
+    bundled: !cacheIndex && !!bundledData,
+    revalidating,
+    // Version, hash and validators of the cached copy
+    cacheInfo: cacheIndex ? getCacheInfo(cacheIndex) : null,
+    // Result of the last chunk check; refreshGeoJSON runs one
+    cacheHealth,
     refreshGeoJSON
   };
-};
\ No newline at end of file
+};
+
+/**
+ * Loads ward boundaries.
+ * @param {Object} mapBounds - Optional viewport bounds to load and filter features by
+ * @param {number} simplificationTolerance - Tolerance of the base dataset used for lookups
+ * @param {number} latitudeDelta - Optional current zoom; picks a rendering detail level
+ */
+export const useGeoJSON = (mapBounds = null, simplificationTolerance = null, latitudeDelta = null) => {
+  const wards = useBoundaryLayer('ward', { mapBounds, simplificationTolerance, latitudeDelta });
+  return { ...wards, dataset: WARD_LAYER.dataset };
+};
@@ -0,0 +1,74 @@
+import { useState, useEffect, useCallback } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  DEFAULT_REPORT_FILTERS,
+  normalizeReportFilters,
+  toggleListValue,
+} from '../utils/reportFilters';
+
+const MAP_FILTERS_KEY = 'map_report_filters';
+
+export const useMapFilters = () => {
+  const [filters, setFilters] = useState(DEFAULT_REPORT_FILTERS);
+  const [loaded, setLoaded] = useState(false);
+
+  // Restore the last selection
+  useEffect(() => {
+    const loadFilters = async () => {
+      try {
+        const stored = await AsyncStorage.getItem(MAP_FILTERS_KEY);
+        if (stored) {
+          setFilters(normalizeReportFilters(JSON.parse(stored)));
+        }
+      } catch (error) {
+        console.warn('Failed to load map filters:', error);
+      } finally {
+        setLoaded(true);
+      }
+    };
+
+    loadFilters();
+  }, []);
+
+  // Persist every change once the stored selection has been restored
+  useEffect(() => {
+    if (!loaded) return;
+
+    AsyncStorage.setItem(MAP_FILTERS_KEY, JSON.stringify(filters)).catch(error => {
+      console.warn('Failed to save map filters:', error);
+    });
+  }, [filters, loaded]);
+
+  const updateFilters = useCallback((updater) => {
+    setFilters(current => normalizeReportFilters(
+      typeof updater === 'function' ? updater(current) : { ...current, ...updater }
+    ));
+  }, []);
+
+  const toggleCategory = useCallback((category) => {
+    updateFilters(current => ({
+      ...current,
+      excludedCategories: toggleListValue(current.excludedCategories, category),
+    }));
+  }, [updateFilters]);
+
+  const toggleStatus = useCallback((status) => {
+    updateFilters(current => ({
+      ...current,
+      excludedStatuses: toggleListValue(current.excludedStatuses, status),
+    }));
+  }, [updateFilters]);
+
+  const resetFilters = useCallback(() => {
+    updateFilters(DEFAULT_REPORT_FILTERS);
+  }, [updateFilters]);
+
+  return {
+    filters,
+    loaded,
+    updateFilters,
+    toggleCategory,
+    toggleStatus,
+    resetFilters,
+  };
+};
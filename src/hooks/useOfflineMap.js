@@ -0,0 +1,65 @@
+import { useState, useEffect, useCallback } from 'react';
+import offlineTileService from '../services/offlineTileService';
+
+export const useOfflineMap = () => {
+  const [status, setStatus] = useState(null);
+  const [downloading, setDownloading] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let mounted = true;
+
+    offlineTileService.getStatus().then((current) => {
+      if (mounted) setStatus(current);
+    });
+
+    const unsubscribe = offlineTileService.subscribe((current) => {
+      if (mounted) setStatus(current);
+    });
+
+    return () => {
+      mounted = false;
+      unsubscribe();
+    };
+  }, []);
+
+  const downloadWard = useCallback(async (ward, zoomLevels) => {
+    try {
+      setDownloading(true);
+      setError(null);
+      setProgress({ done: 0, total: 0 });
+
+      await offlineTileService.downloadWard(ward, zoomLevels, (done, total) => {
+        setProgress({ done, total });
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setDownloading(false);
+    }
+  }, []);
+
+  const cancelDownload = useCallback(() => {
+    offlineTileService.cancelDownload();
+  }, []);
+
+  const setEnabled = useCallback((enabled) => {
+    return offlineTileService.setEnabled(enabled);
+  }, []);
+
+  const clearOfflineMap = useCallback(() => {
+    return offlineTileService.clear();
+  }, []);
+
+  return {
+    status,
+    downloading,
+    progress,
+    error,
+    downloadWard,
+    cancelDownload,
+    setEnabled,
+    clearOfflineMap,
+  };
+};
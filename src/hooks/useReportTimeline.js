@@ -0,0 +1,72 @@
+import { useState, useEffect, useRef } from 'react';
+import reportService from '../services/reportService';
+import { buildStatusHistory } from '../utils/reportTimeline';
+
+// Parallel status update requests while loading histories
+const MAX_CONCURRENT_REQUESTS = 4;
+
+export const useReportTimeline = (reports, enabled = false) => {
+  const [histories, setHistories] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(0);
+  // Histories survive closing the time-lapse and region changes
+  const cacheRef = useRef({});
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let cancelled = false;
+
+    const loadHistories = async () => {
+      const cache = cacheRef.current;
+
+      // Pending reports have never changed status, so they need no request
+      const missing = reports.filter(report => report.status !== 'pending' && !cache[report.id]);
+      let done = 0;
+
+      setLoading(missing.length > 0);
+      setProgress(0);
+
+      const queue = [...missing];
+      const worker = async () => {
+        while (queue.length > 0 && !cancelled) {
+          const report = queue.shift();
+          try {
+            const updates = await reportService.getStatusUpdates(report.id);
+            cache[report.id] = buildStatusHistory(report, updates);
+          } catch (error) {
+            console.warn('Failed to load status history:', report.id, error.message);
+            cache[report.id] = buildStatusHistory(report);
+          }
+          done += 1;
+          if (!cancelled) setProgress(done / missing.length);
+        }
+      };
+
+      await Promise.all(
+        Array.from({ length: Math.min(MAX_CONCURRENT_REQUESTS, missing.length) }, worker)
+      );
+
+      if (cancelled) return;
+
+      const next = {};
+      reports.forEach((report) => {
+        next[report.id] = cache[report.id] || buildStatusHistory(report);
+      });
+      setHistories(next);
+      setLoading(false);
+    };
+
+    loadHistories();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [reports, enabled]);
+
+  return {
+    histories,
+    loading,
+    progress,
+  };
+};
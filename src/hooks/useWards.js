@@ -1,42 +1,79 @@
-import { useState, useEffect } from 'react';
+import { useCallback } from 'react';
 import { useGeoJSON } from './useGeoJSON';
-import { findWardForPoint } from '../utils/geoUtils';
+import {
+  findWardForPoint,
+  findWardForGeometry,
+  findNearbyWards,
+  getFeatureWardInfo,
+} from '../utils/geoUtils';
+import { getGeometryCentroid } from '../utils/measurement';
 
 export const useWards = () => {
-  const { geoJsonData, loading, error } = useGeoJSON();
+  const { geoJsonData, spatialIndex, loading, error } = useGeoJSON();
 
-  const findWardByLocation = (latitude, longitude) => {
+  // Points that GPS puts just outside the simplified boundaries (coastlines,
+  // ward edges) fall back to the nearest ward within WARD_FALLBACK_DISTANCE
+  const findWardFeature = useCallback((point) => (
+    findWardForPoint(point, geoJsonData, spatialIndex)
+      || findNearbyWards(point, geoJsonData, spatialIndex)[0]?.feature
+      || null
+  ), [geoJsonData, spatialIndex]);
+
+  // Stable between renders so callers can list it as an effect dependency
+  const findWardByLocation = useCallback((latitude, longitude) => {
     try {
       if (!geoJsonData || loading || !latitude || !longitude) return null;
       
       const point = { latitude, longitude };
-      const ward = findWardForPoint(point, geoJsonData);
-      
-      if (ward) {
-        return {
-          id: ward.properties?.id || ward.properties?.WARD_ID || ward.properties?.ward_id,
-          name: ward.properties?.name || ward.properties?.WARD_NAME || ward.properties?.ward_name || `Ward ${ward.properties?.WARD_ID || ward.properties?.ward_id}`,
-          municipality: ward.properties?.municipality || ward.properties?.MUNICIPALITY || ward.properties?.mun_name,
-          properties: ward.properties,
-        };
-      }
+      const ward = findWardFeature(point);
       
-      return null;
+      return getFeatureWardInfo(ward);
     } catch (error) {
       console.warn('Error finding ward by location:', error);
       return null;
     }
-  };
+  }, [geoJsonData, loading, findWardFeature]);
+
+  /**
+   * Wards a point is in or close to, for asking the user to confirm near a boundary
+   * @returns {Array} Ward info objects with `inside` and `distance` (metres to the boundary)
+   */
+  const getWardCandidates = useCallback((latitude, longitude) => {
+    try {
+      if (!geoJsonData || loading || !latitude || !longitude) return [];
+
+      return findNearbyWards({ latitude, longitude }, geoJsonData, spatialIndex).map(candidate => ({
+        ...getFeatureWardInfo(candidate.feature),
+        inside: candidate.inside,
+        distance: candidate.distance,
+      }));
+    } catch (error) {
+      console.warn('Error finding ward candidates:', error);
+      return [];
+    }
+  }, [geoJsonData, spatialIndex, loading]);
+
+  // Lines and areas go to the ward they overlap most, falling back to the ward at their centroid
+  const findWardByGeometry = useCallback((geometry) => {
+    try {
+      if (!geoJsonData || loading || !geometry) return null;
+
+      const ward = findWardForGeometry(geometry, geoJsonData, spatialIndex)
+        || findWardFeature(getGeometryCentroid(geometry));
+
+      return getFeatureWardInfo(ward);
+    } catch (error) {
+      console.warn('Error finding ward by geometry:', error);
+      return null;
+    }
+  }, [geoJsonData, spatialIndex, loading, findWardFeature]);
 
   const getAllWards = () => {
     try {
       if (!geoJsonData || loading) return [];
       
       return geoJsonData.features.map(feature => ({
-        id: feature.properties?.id || feature.properties?.WARD_ID || feature.properties?.ward_id,
-        name: feature.properties?.name || feature.properties?.WARD_NAME || feature.properties?.ward_name || `Ward ${feature.properties?.WARD_ID || feature.properties?.ward_id}`,
-        municipality: feature.properties?.municipality || feature.properties?.MUNICIPALITY || feature.properties?.mun_name,
-        properties: feature.properties,
+        ...getFeatureWardInfo(feature),
         geometry: feature.geometry,
       }));
     } catch (error) {
@@ -50,6 +87,8 @@ export const useWards = () => {
     loading,
     error,
     findWardByLocation,
+    findWardByGeometry,
+    getWardCandidates,
     getAllWards,
   };
 };
\ No newline at end of file
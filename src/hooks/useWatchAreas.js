@@ -0,0 +1,62 @@
+import { useState, useEffect, useCallback } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const WATCH_AREAS_KEY = 'map_watch_areas';
+
+export const useWatchAreas = () => {
+  const [watchAreas, setWatchAreas] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+
+  useEffect(() => {
+    const loadWatchAreas = async () => {
+      try {
+        const stored = await AsyncStorage.getItem(WATCH_AREAS_KEY);
+        if (stored) {
+          setWatchAreas(JSON.parse(stored));
+        }
+      } catch (error) {
+        console.warn('Failed to load watch areas:', error);
+      } finally {
+        setLoaded(true);
+      }
+    };
+
+    loadWatchAreas();
+  }, []);
+
+  useEffect(() => {
+    if (!loaded) return;
+
+    AsyncStorage.setItem(WATCH_AREAS_KEY, JSON.stringify(watchAreas)).catch(error => {
+      console.warn('Failed to save watch areas:', error);
+    });
+  }, [watchAreas, loaded]);
+
+  /**
+   * Saves a drawn area under a name
+   * @param {string} name - Display name
+   * @param {Array} ring - Closed ring of [longitude, latitude]
+   * @returns {Object} The saved watch area
+   */
+  const saveWatchArea = useCallback((name, ring) => {
+    const area = {
+      id: `area-${Date.now()}`,
+      name: name.trim(),
+      ring,
+      createdAt: new Date().toISOString(),
+    };
+    setWatchAreas(current => [...current, area]);
+    return area;
+  }, []);
+
+  const deleteWatchArea = useCallback((id) => {
+    setWatchAreas(current => current.filter(area => area.id !== id));
+  }, []);
+
+  return {
+    watchAreas,
+    loaded,
+    saveWatchArea,
+    deleteWatchArea,
+  };
+};
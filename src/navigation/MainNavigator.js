@@ -12,6 +12,7 @@ import CreateReportScreen from '../screens/main/CreateReportScreen';
 import MapScreen from '../screens/main/MapScreen';
 import ProfileScreen from '../screens/main/ProfileScreen';
 import MyReportsScreen from '../screens/main/MyReportsScreen';
+import WardDataDebugScreen from '../screens/main/WardDataDebugScreen';
 
 const Tab = createBottomTabNavigator();
 const Stack = createStackNavigator();
@@ -52,6 +53,11 @@ const MapStack = ({ navigation }) => (
       component={ReportDetailScreen}
       options={{ headerShown: false }}
     />
+    <Stack.Screen 
+      name="CreateReport" 
+      component={CreateReportScreen}
+      options={{ headerShown: false }}
+    />
   </Stack.Navigator>
 );
 
@@ -63,6 +69,11 @@ const ProfileStack = ({ navigation }) => (
       component={MyReportsScreen}
       options={{ headerShown: false }}
     />
+    <Stack.Screen 
+      name="WardDataDebug" 
+      component={WardDataDebugScreen}
+      options={{ headerShown: false }}
+    />
     <Stack.Screen 
       name="CreateReport" 
       component={CreateReportScreen}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   View,
   Text,
@@ -17,7 +17,7 @@ import LocationPicker from '../../components/common/LocationPicker';
 import CategoryPicker from '../../components/reports/CategoryPicker';
 import reportService from '../../services/reportService';
 
-const CreateReportScreen = ({ navigation }) => {
+const CreateReportScreen = ({ navigation, route }) => {
   const [formData, setFormData] = useState({
     title: '',
     description: '',
@@ -26,20 +26,24 @@ const CreateReportScreen = ({ navigation }) => {
   });
   const [loading, setLoading] = useState(false);
   const [locationData, setLocationData] = useState(null);
-
+  // Line or area measured on the map opens the picker already drawn
+  const initialGeometry = route?.params?.geometry || null;
 
   const updateFormData = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
   };
 
-  const handleLocationChange = (location) => {
+  // Stable so the picker doesn't re-notify on every render
+  const handleLocationChange = useCallback((location) => {
     setLocationData({
       lat: location.latitude,
       lng: location.longitude,
       address: location.address,
       ward: location.ward,
+      boundaries: location.boundaries,
+      geometry: location.geometry,
     });
-  };
+  }, []);
 
   const pickImage = async () => {
     try {
@@ -154,7 +158,10 @@ const CreateReportScreen = ({ navigation }) => {
         lng: locationData.lng,
         address: locationData.address,
         ward_id: locationData.ward?.id || null,
+        // Only set for municipalities from the municipality layer or backend, never a dataset code
+        municipality_id: locationData.boundaries?.municipality?.id || undefined,
         photo_url: formData.photo_url || undefined,
+        geometry: locationData.geometry || undefined,
       };
 
       await reportService.createReport(reportData);
@@ -207,7 +214,9 @@ const CreateReportScreen = ({ navigation }) => {
         />
 
         <LocationPicker
+          initialGeometry={initialGeometry}
           onLocationChange={handleLocationChange}
+          enableDrawing={true}
           enableAutocomplete={false}
           showMap={true}
           mapHeight={250}
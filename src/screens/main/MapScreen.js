@@ -1,25 +1,68 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import {
   View,
   Text,
   StyleSheet,
   TouchableOpacity,
   Alert,
+  Share,
+  ActivityIndicator,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { Polygon } from 'react-native-maps';
 import { Ionicons } from '@expo/vector-icons';
 import { theme } from '../../config/theme';
 import OptimizedMapView from '../../components/maps/OptimizedMapView';
+import ChoroplethControls from '../../components/maps/ChoroplethControls';
+import WardSummarySheet from '../../components/maps/WardSummarySheet';
+import MapFilterPanel from '../../components/maps/MapFilterPanel';
+import TimeLapseControls from '../../components/maps/TimeLapseControls';
+import AreaSelectionSheet from '../../components/maps/AreaSelectionSheet';
+import MeasurePanel from '../../components/maps/MeasurePanel';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import ErrorMessage from '../../components/common/ErrorMessage';
 import { useLocation } from '../../hooks/useLocation';
 import { useWards } from '../../hooks/useWards';
-import reportService from '../../services/reportService';
-import { REPORT_CATEGORIES } from '../../config/api';
+import { useAuth } from '../../hooks/useAuth';
+import { useMapFilters } from '../../hooks/useMapFilters';
+import { useReportTimeline } from '../../hooks/useReportTimeline';
+import { useWatchAreas } from '../../hooks/useWatchAreas';
+import reportTileService from '../../services/reportTileService';
+import userService from '../../services/userService';
+import { REPORT_CATEGORIES, REPORT_STATUSES } from '../../config/api';
+import { getFeatureWardInfo } from '../../utils/geoUtils';
+import {
+  groupReportsByWard,
+  computeWardMetric,
+  buildChoroplethClasses,
+  getWardFillColors,
+} from '../../utils/wardMetrics';
+import {
+  buildReportQuery,
+  matchesReportFilters,
+  countActiveFilters,
+} from '../../utils/reportFilters';
+import { getTimelineRange, getReportsAtTime } from '../../utils/reportTimeline';
+import {
+  lassoToRing,
+  ringToCoordinates,
+  getReportsInArea,
+  buildAreaShareMessage,
+} from '../../utils/watchAreas';
+import { pointsToGeometry } from '../../utils/measurement';
+
+const MARKER_MODES = [
+  { value: 'markers', label: 'Pins', icon: 'location' },
+  { value: 'clusters', label: 'Clusters', icon: 'apps' },
+  { value: 'heatmap', label: 'Heatmap', icon: 'flame' },
+];
 
 const MapScreen = ({ navigation }) => {
   const [reports, setReports] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [reportsLoading, setReportsLoading] = useState(false);
+  // {zoomIn, truncatedTiles} for the last region loaded; see reportTileService
+  const [reportCoverage, setReportCoverage] = useState({ zoomIn: false, truncatedTiles: 0 });
   const [error, setError] = useState(null);
   const [mapRegion, setMapRegion] = useState({
     latitude: -26.2041,
@@ -27,34 +70,85 @@ const MapScreen = ({ navigation }) => {
     latitudeDelta: 0.5,
     longitudeDelta: 0.5,
   });
+  const [homeWardId, setHomeWardId] = useState(null);
+  const [selectedWardId, setSelectedWardId] = useState(null);
+  const [summaryWard, setSummaryWard] = useState(null);
+  const [wardFilter, setWardFilter] = useState(null);
+  const [choroplethMetric, setChoroplethMetric] = useState(null);
+  const [choroplethCategory, setChoroplethCategory] = useState(REPORT_CATEGORIES[0].value);
+  const [filterPanelVisible, setFilterPanelVisible] = useState(false);
+  const [legendExpanded, setLegendExpanded] = useState(false);
+  const [markerMode, setMarkerMode] = useState('clusters');
+  const [timeLapseActive, setTimeLapseActive] = useState(false);
+  const [timeLapseTime, setTimeLapseTime] = useState(Date.now());
+  const [drawMode, setDrawMode] = useState(false);
+  const [selectedArea, setSelectedArea] = useState(null);
+  const [areaSheetVisible, setAreaSheetVisible] = useState(false);
+  const [measureMode, setMeasureMode] = useState(false);
+  const [measurePoints, setMeasurePoints] = useState([]);
+  const [measureShape, setMeasureShape] = useState('line');
   const { getCurrentLocation } = useLocation();
   const { findWardByLocation } = useWards();
+  const { user } = useAuth();
+  const {
+    filters,
+    loaded: filtersLoaded,
+    updateFilters,
+    toggleCategory,
+    toggleStatus,
+    resetFilters,
+  } = useMapFilters();
+  const { watchAreas, saveWatchArea, deleteWatchArea } = useWatchAreas();
+  const regionRequestRef = useRef(0);
+  const lastRegionRef = useRef(null);
+
+  const reportQuery = useMemo(() => buildReportQuery(filters, user?.id), [filters, user?.id]);
 
+  // Wait for the saved filters so the first fetch already uses them
   useEffect(() => {
-    loadMapData();
-  }, []);
+    if (filtersLoaded) {
+      loadMapData();
+    }
+  }, [filtersLoaded]);
+
+  // Refetch the visible area when the query changes
+  useEffect(() => {
+    if (filtersLoaded && lastRegionRef.current) {
+      handleRegionSettled(lastRegionRef.current);
+    }
+  }, [reportQuery]);
 
   const loadMapData = async () => {
     try {
       setLoading(true);
       setError(null);
 
-      // Load reports
-      const reportsData = await reportService.getReports({ limit: 100 });
-      setReports(reportsData.reports);
+      // The home ward is always drawn, but the map works without it
+      try {
+        const profile = await userService.getUserProfile();
+        setHomeWardId(profile?.ward_id || null);
+      } catch (profileError) {
+        console.log('Could not load home ward:', profileError.message);
+      }
 
       // Try to get user's current location
+      let region = mapRegion;
       try {
         const location = await getCurrentLocation();
-        setMapRegion({
+        region = {
           latitude: location.latitude,
           longitude: location.longitude,
           latitudeDelta: 0.1,
           longitudeDelta: 0.1,
-        });
+        };
+        setMapRegion(region);
       } catch (locationError) {
         console.log('Could not get current location:', locationError.message);
       }
+
+      // Load reports for the initial viewport
+      lastRegionRef.current = region;
+      applyRegionResult(await reportTileService.getReportsForRegion(region, reportQuery));
     } catch (err) {
       console.error('Error loading map data:', err);
       setError(err.message);
@@ -63,6 +157,34 @@ const MapScreen = ({ navigation }) => {
     }
   };
 
+  // Zoomed too far out nothing is loaded, so the reports already on the map stay
+  const applyRegionResult = ({ reports: regionReports, truncatedTiles, zoomIn }) => {
+    setReportCoverage({ zoomIn, truncatedTiles });
+    if (!zoomIn) setReports(regionReports);
+  };
+
+  // Reload reports for the visible area once the map settles; cached tiles return immediately
+  const handleRegionSettled = async (region) => {
+    const requestId = ++regionRequestRef.current;
+    lastRegionRef.current = region;
+
+    try {
+      setReportsLoading(true);
+      const result = await reportTileService.getReportsForRegion(region, reportQuery);
+
+      // Ignore responses for regions the user has already panned away from
+      if (requestId === regionRequestRef.current) {
+        applyRegionResult(result);
+      }
+    } catch (err) {
+      console.warn('Error loading reports for region:', err.message);
+    } finally {
+      if (requestId === regionRequestRef.current) {
+        setReportsLoading(false);
+      }
+    }
+  };
+
   const handleReportPress = (report) => {
     navigation.navigate('ReportDetail', { reportId: report.id });
   };
@@ -78,25 +200,154 @@ const MapScreen = ({ navigation }) => {
     }
   };
 
-  // Convert reports to marker format
-  const reportMarkers = reports.map((report) => ({
+  // The server may not apply every filter, so the marker set is always filtered here too
+  const filteredReports = useMemo(() => (
+    reports.filter(report => matchesReportFilters(report, filters, user?.id))
+  ), [reports, filters, user?.id]);
+
+  // Bucket reports into wards once per data change; the metric is derived from the buckets
+  const reportsByWard = useMemo(() => (
+    groupReportsByWard(filteredReports, (lat, lng) => findWardByLocation(lat, lng)?.id)
+  ), [filteredReports, findWardByLocation]);
+
+  const wardReports = useMemo(() => (
+    wardFilter ? reportsByWard[String(wardFilter.id)] || [] : filteredReports
+  ), [wardFilter, reportsByWard, filteredReports]);
+
+  const visibleReports = useMemo(() => (
+    getReportsInArea(wardReports, selectedArea?.ring)
+  ), [wardReports, selectedArea]);
+
+  const activeFilterCount = countActiveFilters(filters);
+
+  const timelineRange = useMemo(() => getTimelineRange(visibleReports), [visibleReports]);
+  const {
+    histories,
+    loading: timelineLoading,
+    progress: timelineProgress,
+  } = useReportTimeline(visibleReports, timeLapseActive);
+
+  // In time-lapse, show only reports that existed at the chosen date, coloured by their status then
+  const timedReports = useMemo(() => {
+    if (!timeLapseActive) return null;
+    return getReportsAtTime(visibleReports, histories, timeLapseTime);
+  }, [timeLapseActive, visibleReports, histories, timeLapseTime]);
+
+  const getStatusColor = (status) => {
+    return REPORT_STATUSES.find(item => item.value === status)?.color || theme.colors.textSecondary;
+  };
+
+  const toMarker = (report, color) => ({
     id: report.id,
     latitude: report.lat,
     longitude: report.lng,
     title: report.title,
     description: report.description,
-    color: getMarkerColor(report.category),
+    category: report.category,
+    createdAt: report.created_at,
+    geometry: report.geometry,
+    color,
     data: report,
-  }));
+  });
+
+  // Convert reports to marker format
+  const reportMarkers = timedReports
+    ? timedReports.map(({ report, status }) => toMarker(report, getStatusColor(status)))
+    : visibleReports.map(report => toMarker(report, getMarkerColor(report.category)));
+
+  const openTimeLapse = () => {
+    setMeasureMode(false);
+    setTimeLapseTime(timelineRange.start);
+    setTimeLapseActive(true);
+  };
+
+  const toggleMeasureMode = () => {
+    setDrawMode(false);
+    setTimeLapseActive(false);
+    setMeasurePoints([]);
+    setMeasureMode(!measureMode);
+  };
+
+  const handleAttachMeasurement = () => {
+    const geometry = pointsToGeometry(measurePoints, measureShape);
+    if (!geometry) return;
+
+    setMeasureMode(false);
+    setMeasurePoints([]);
+    navigation.navigate('CreateReport', { geometry });
+  };
+
+  const choropleth = useMemo(() => {
+    if (!choroplethMetric) return { classes: [], fillColors: null };
+
+    const values = computeWardMetric(reportsByWard, choroplethMetric, { category: choroplethCategory });
+    const classes = buildChoroplethClasses(values);
+    return { classes, fillColors: getWardFillColors(values, classes) };
+  }, [reportsByWard, choroplethMetric, choroplethCategory]);
 
   const handleMarkerPress = (marker) => {
     handleReportPress(marker.data);
   };
 
   const handleWardPress = (wardFeature) => {
-    console.log('Ward pressed:', wardFeature.properties);
-    // You can add ward-specific functionality here
-    // For example, filter reports by ward, show ward info, etc.
+    const ward = getFeatureWardInfo(wardFeature);
+    setSelectedWardId(ward?.id || null);
+    setSummaryWard(ward);
+  };
+
+  const handleFilterToWard = (ward) => {
+    setWardFilter(ward);
+    setSummaryWard(null);
+  };
+
+  const handleDrawComplete = (path, region) => {
+    // Drop jitter finer than about a pixel at the current zoom
+    const ring = lassoToRing(path, region.latitudeDelta / 500);
+    setDrawMode(false);
+
+    if (!ring) {
+      Alert.alert('Area Too Small', 'Trace a larger area to select reports.');
+      return;
+    }
+
+    setSelectedArea({ ring });
+    setAreaSheetVisible(true);
+  };
+
+  const handleSaveArea = (name) => {
+    setSelectedArea(saveWatchArea(name, selectedArea.ring));
+  };
+
+  const handleShareArea = async () => {
+    try {
+      await Share.share({
+        message: buildAreaShareMessage(selectedArea.name || 'Selected area', visibleReports),
+      });
+    } catch (err) {
+      Alert.alert('Error', err.message);
+    }
+  };
+
+  const handleClearArea = () => {
+    setSelectedArea(null);
+    setAreaSheetVisible(false);
+  };
+
+  const handleDeleteWatchArea = (id) => {
+    deleteWatchArea(id);
+    if (selectedArea?.id === id) {
+      setSelectedArea(null);
+    }
+  };
+
+  const handleAreaReportPress = (report) => {
+    setAreaSheetVisible(false);
+    handleReportPress(report);
+  };
+
+  const handleSummaryReportPress = (report) => {
+    setSummaryWard(null);
+    handleReportPress(report);
   };
 
   if (loading) {
@@ -120,31 +371,256 @@ const MapScreen = ({ navigation }) => {
         initialRegion={mapRegion}
         markers={reportMarkers}
         onMarkerPress={handleMarkerPress}
+        onRegionSettled={handleRegionSettled}
+        markerMode={markerMode}
         showWards={true}
         onWardPress={handleWardPress}
+        homeWardId={homeWardId}
+        selectedWardId={selectedWardId}
+        wardFillColors={choropleth.fillColors}
+        drawMode={drawMode}
+        onDrawComplete={handleDrawComplete}
+        measureMode={measureMode}
+        measurePoints={measurePoints}
+        measureShape={measureShape}
+        onMeasurePress={(point) => setMeasurePoints(current => [...current, point])}
+      >
+        {selectedArea && (
+          <Polygon
+            coordinates={ringToCoordinates(selectedArea.ring)}
+            strokeColor={theme.colors.secondary}
+            fillColor="rgba(255, 87, 34, 0.12)"
+            strokeWidth={2}
+          />
+        )}
+      </OptimizedMapView>
+
+      {drawMode ? (
+        <View style={[styles.choropleth, styles.drawBanner]}>
+          <Ionicons name="brush" size={16} color={theme.colors.white} />
+          <Text style={styles.drawBannerText}>Trace an area with your finger</Text>
+          <TouchableOpacity onPress={() => setDrawMode(false)}>
+            <Text style={styles.drawBannerCancel}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <ChoroplethControls
+          style={styles.choropleth}
+          metric={choroplethMetric}
+          onMetricChange={setChoroplethMetric}
+          category={choroplethCategory}
+          onCategoryChange={setChoroplethCategory}
+          classes={choropleth.classes}
+        />
+      )}
+
+      <MapFilterPanel
+        visible={filterPanelVisible}
+        filters={filters}
+        onClose={() => setFilterPanelVisible(false)}
+        onToggleCategory={toggleCategory}
+        onToggleStatus={toggleStatus}
+        onChangeFilters={updateFilters}
+        onReset={resetFilters}
       />
 
-      <View style={styles.legend}>
-        <Text style={styles.legendTitle}>Report Categories</Text>
-        <View style={styles.legendItems}>
-          {REPORT_CATEGORIES.slice(0, 3).map((category) => (
-            <View key={category.value} style={styles.legendItem}>
-              <View 
-                style={[
-                  styles.legendColor, 
-                  { backgroundColor: getMarkerColor(category.value) }
-                ]} 
-              />
-              <Text style={styles.legendText}>{category.label}</Text>
+      <AreaSelectionSheet
+        visible={areaSheetVisible}
+        area={selectedArea}
+        reports={visibleReports}
+        watchAreas={watchAreas}
+        onClose={() => setAreaSheetVisible(false)}
+        onSave={handleSaveArea}
+        onShare={handleShareArea}
+        onClear={handleClearArea}
+        onSelectWatchArea={setSelectedArea}
+        onDeleteWatchArea={handleDeleteWatchArea}
+        onReportPress={handleAreaReportPress}
+      />
+
+      <WardSummarySheet
+        ward={summaryWard}
+        visible={!!summaryWard}
+        onClose={() => setSummaryWard(null)}
+        onFilterToWard={handleFilterToWard}
+        onReportPress={handleSummaryReportPress}
+      />
+
+      <View style={styles.bottomPanel} pointerEvents="box-none">
+        <View style={styles.mapTools}>
+          <TouchableOpacity
+            style={[styles.toolButton, drawMode && styles.activeToolButton]}
+            onPress={() => {
+              setMeasureMode(false);
+              setDrawMode(!drawMode);
+            }}
+          >
+            <Ionicons name="brush-outline" size={20} color={drawMode ? theme.colors.white : theme.colors.primary} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.toolButton}
+            onPress={() => setAreaSheetVisible(true)}
+          >
+            <Ionicons name="bookmarks-outline" size={20} color={theme.colors.primary} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.toolButton, measureMode && styles.activeToolButton]}
+            onPress={toggleMeasureMode}
+          >
+            <Ionicons name="resize-outline" size={20} color={measureMode ? theme.colors.white : theme.colors.primary} />
+          </TouchableOpacity>
+        </View>
+
+        {reportsLoading && (
+          <View style={styles.reportsLoading} pointerEvents="none">
+            <ActivityIndicator size="small" color={theme.colors.primary} />
+            <Text style={styles.reportsLoadingText}>Loading reports...</Text>
+          </View>
+        )}
+
+        {!reportsLoading && (reportCoverage.zoomIn || reportCoverage.truncatedTiles > 0) && (
+          <View style={styles.reportsLoading} pointerEvents="none">
+            <Ionicons name="information-circle-outline" size={16} color={theme.colors.warning} />
+            <Text style={styles.reportsLoadingText}>
+              {reportCoverage.zoomIn
+                ? 'Zoom in to load reports for this area'
+                : 'Too many reports here to show them all. Zoom in to see more'}
+            </Text>
+          </View>
+        )}
+
+        <View style={styles.activeChips} pointerEvents="box-none">
+          {wardFilter && (
+            <View style={styles.filterChip}>
+              <Ionicons name="funnel" size={14} color={theme.colors.white} />
+              <Text style={styles.filterChipText} numberOfLines={1}>
+                {wardFilter.name}
+              </Text>
+              <TouchableOpacity onPress={() => setWardFilter(null)}>
+                <Ionicons name="close-circle" size={18} color={theme.colors.white} />
+              </TouchableOpacity>
             </View>
-          ))}
+          )}
+          {selectedArea && (
+            <TouchableOpacity style={styles.filterChip} onPress={() => setAreaSheetVisible(true)}>
+              <Ionicons name="shapes-outline" size={14} color={theme.colors.white} />
+              <Text style={styles.filterChipText} numberOfLines={1}>
+                {selectedArea.name || 'Selected area'}
+              </Text>
+              <TouchableOpacity onPress={handleClearArea}>
+                <Ionicons name="close-circle" size={18} color={theme.colors.white} />
+              </TouchableOpacity>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {timeLapseActive && (
+          <TimeLapseControls
+            start={timelineRange.start}
+            end={timelineRange.end}
+            step={timelineRange.step}
+            value={timeLapseTime}
+            onChange={setTimeLapseTime}
+            onClose={() => setTimeLapseActive(false)}
+            loading={timelineLoading}
+            progress={timelineProgress}
+            visibleCount={reportMarkers.length}
+          />
+        )}
+
+        {measureMode && (
+          <MeasurePanel
+            points={measurePoints}
+            shape={measureShape}
+            onShapeChange={setMeasureShape}
+            onUndo={() => setMeasurePoints(current => current.slice(0, -1))}
+            onClear={() => setMeasurePoints([])}
+            onAttach={handleAttachMeasurement}
+            onClose={toggleMeasureMode}
+          />
+        )}
+
+        <View style={[styles.legend, (timeLapseActive || measureMode) && styles.hidden]}>
+          <View style={styles.legendHeader}>
+            <TouchableOpacity
+              style={styles.legendToggle}
+              onPress={() => setLegendExpanded(!legendExpanded)}
+            >
+              <Text style={styles.legendTitle}>Report Categories</Text>
+              <Ionicons
+                name={legendExpanded ? 'chevron-down' : 'chevron-up'}
+                size={18}
+                color={theme.colors.textSecondary}
+              />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.filterButton, styles.timeLapseButton]}
+              onPress={openTimeLapse}
+            >
+              <Ionicons name="time-outline" size={18} color={theme.colors.primary} />
+              <Text style={styles.filterButtonText}>Time-lapse</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.filterButton}
+              onPress={() => setFilterPanelVisible(true)}
+            >
+              <Ionicons name="options-outline" size={18} color={theme.colors.primary} />
+              <Text style={styles.filterButtonText}>Filters</Text>
+              {activeFilterCount > 0 && (
+                <View style={styles.filterBadge}>
+                  <Text style={styles.filterBadgeText}>{activeFilterCount}</Text>
+                </View>
+              )}
+            </TouchableOpacity>
+          </View>
+          <View style={styles.modeSwitch}>
+            {MARKER_MODES.map((mode) => {
+              const selected = markerMode === mode.value;
+              return (
+                <TouchableOpacity
+                  key={mode.value}
+                  style={[styles.modeButton, selected && styles.selectedModeButton]}
+                  onPress={() => setMarkerMode(mode.value)}
+                >
+                  <Ionicons
+                    name={mode.icon}
+                    size={14}
+                    color={selected ? theme.colors.white : theme.colors.primary}
+                  />
+                  <Text style={[styles.modeText, selected && styles.selectedModeText]}>
+                    {mode.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <View style={styles.legendItems}>
+            {(legendExpanded ? REPORT_CATEGORIES : REPORT_CATEGORIES.slice(0, 3)).map((category) => {
+              const hidden = filters.excludedCategories.includes(category.value);
+              return (
+                <TouchableOpacity
+                  key={category.value}
+                  style={[styles.legendItem, hidden && styles.legendItemHidden]}
+                  onPress={() => toggleCategory(category.value)}
+                >
+                  <View 
+                    style={[
+                      styles.legendColor, 
+                      { backgroundColor: getMarkerColor(category.value) }
+                    ]} 
+                  />
+                  <Text style={styles.legendText}>{category.label}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <TouchableOpacity
+            style={styles.viewAllButton}
+            onPress={() => navigation.navigate('Reports')}
+          >
+            <Text style={styles.viewAllText}>View All Reports</Text>
+          </TouchableOpacity>
         </View>
-        <TouchableOpacity
-          style={styles.viewAllButton}
-          onPress={() => navigation.navigate('Reports')}
-        >
-          <Text style={styles.viewAllText}>View All Reports</Text>
-        </TouchableOpacity>
       </View>
     </SafeAreaView>
   );
@@ -158,31 +634,189 @@ const styles = StyleSheet.create({
   map: {
     flex: 1,
   },
-  legend: {
+  choropleth: {
+    position: 'absolute',
+    top: theme.spacing.xl + theme.spacing.md,
+    left: theme.spacing.lg - 4,
+    right: theme.spacing.lg - 4,
+  },
+  drawBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.primaryDark,
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.small,
+  },
+  drawBannerText: {
+    flex: 1,
+    color: theme.colors.white,
+    fontSize: theme.fonts.sizes.sm,
+    marginLeft: theme.spacing.sm,
+  },
+  drawBannerCancel: {
+    color: theme.colors.white,
+    fontSize: theme.fonts.sizes.sm,
+    fontWeight: theme.fonts.weights.semibold,
+  },
+  bottomPanel: {
     position: 'absolute',
     bottom: theme.spacing.lg - 4,
     left: theme.spacing.lg - 4,
     right: theme.spacing.lg - 4,
+  },
+  mapTools: {
+    alignSelf: 'flex-end',
+    marginBottom: theme.spacing.sm,
+  },
+  toolButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: theme.colors.surface,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: theme.spacing.sm,
+    ...theme.shadows.medium,
+  },
+  activeToolButton: {
+    backgroundColor: theme.colors.primary,
+  },
+  reportsLoading: {
+    alignSelf: 'center',
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.surface,
+    paddingHorizontal: theme.spacing.sm + 4,
+    paddingVertical: theme.spacing.xs + 2,
+    marginBottom: theme.spacing.sm,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.small,
+  },
+  reportsLoadingText: {
+    marginLeft: theme.spacing.xs + 2,
+    fontSize: theme.fonts.sizes.xs,
+    color: theme.colors.textSecondary,
+  },
+  activeChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+  },
+  filterChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    maxWidth: '80%',
+    backgroundColor: theme.colors.primaryDark,
+    paddingHorizontal: theme.spacing.sm + 4,
+    paddingVertical: theme.spacing.xs + 2,
+    marginHorizontal: theme.spacing.xs,
+    marginBottom: theme.spacing.sm,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.small,
+  },
+  filterChipText: {
+    color: theme.colors.white,
+    fontSize: theme.fonts.sizes.sm,
+    fontWeight: theme.fonts.weights.medium,
+    marginHorizontal: theme.spacing.xs + 2,
+  },
+  legend: {
     backgroundColor: theme.colors.surface,
     borderRadius: theme.borderRadius.lg,
     padding: theme.spacing.md,
     ...theme.shadows.medium,
   },
+  hidden: {
+    display: 'none',
+  },
+  legendHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm + 4,
+  },
+  legendToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   legendTitle: {
     fontSize: theme.fonts.sizes.md,
     fontWeight: theme.fonts.weights.semibold,
     color: theme.colors.text,
+    marginRight: theme.spacing.xs,
+  },
+  filterButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: theme.spacing.xs,
+  },
+  timeLapseButton: {
+    marginLeft: 'auto',
+    marginRight: theme.spacing.sm,
+  },
+  filterButtonText: {
+    marginLeft: theme.spacing.xs,
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.primary,
+    fontWeight: theme.fonts.weights.medium,
+  },
+  filterBadge: {
+    marginLeft: theme.spacing.xs,
+    minWidth: 18,
+    height: 18,
+    borderRadius: 9,
+    paddingHorizontal: theme.spacing.xs,
+    backgroundColor: theme.colors.primary,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  filterBadgeText: {
+    color: theme.colors.white,
+    fontSize: theme.fonts.sizes.xs - 2,
+    fontWeight: theme.fonts.weights.bold,
+  },
+  modeSwitch: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    borderRadius: theme.borderRadius.sm + 2,
+    overflow: 'hidden',
     marginBottom: theme.spacing.sm + 4,
   },
+  modeButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: theme.spacing.xs + 2,
+  },
+  selectedModeButton: {
+    backgroundColor: theme.colors.primary,
+  },
+  modeText: {
+    marginLeft: theme.spacing.xs,
+    fontSize: theme.fonts.sizes.xs,
+    color: theme.colors.primary,
+    fontWeight: theme.fonts.weights.medium,
+  },
+  selectedModeText: {
+    color: theme.colors.white,
+  },
   legendItems: {
     flexDirection: 'row',
-    justifyContent: 'space-between',
+    flexWrap: 'wrap',
     marginBottom: theme.spacing.sm + 4,
   },
   legendItem: {
     flexDirection: 'row',
     alignItems: 'center',
-    flex: 1,
+    width: '33%',
+    paddingVertical: theme.spacing.xs,
+  },
+  legendItemHidden: {
+    opacity: 0.35,
   },
   legendColor: {
     width: 12,
@@ -12,6 +12,7 @@ import { Ionicons } from '@expo/vector-icons';
 import Input from '../../components/common/Input';
 import Button from '../../components/common/Button';
 import LocationPicker from '../../components/common/LocationPicker';
+import OfflineMapSection from '../../components/maps/OfflineMapSection';
 import { theme } from '../../config/theme';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import ErrorMessage from '../../components/common/ErrorMessage';
@@ -131,6 +132,10 @@ const ProfileScreen = ({ navigation }) => {
     navigation.navigate('MyReports');
   };
 
+  const navigateToWardData = () => {
+    navigation.navigate('WardDataDebug');
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -264,6 +269,8 @@ const ProfileScreen = ({ navigation }) => {
           )}
         </View>
 
+        {!isEditing && <OfflineMapSection wardId={profile?.ward_id} />}
+
         <View style={styles.actions}>
           <TouchableOpacity
             style={styles.actionButton}
@@ -274,6 +281,15 @@ const ProfileScreen = ({ navigation }) => {
             <Ionicons name="chevron-forward" size={20} color="#ccc" />
           </TouchableOpacity>
 
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={navigateToWardData}
+          >
+            <Ionicons name="bug-outline" size={24} color="#2196F3" />
+            <Text style={styles.actionText}>Ward Data Diagnostics</Text>
+            <Ionicons name="chevron-forward" size={20} color="#ccc" />
+          </TouchableOpacity>
+
           <TouchableOpacity
             style={[styles.actionButton, styles.signOutButton]}
             onPress={handleSignOut}
@@ -10,11 +10,14 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
+import MapView from 'react-native-maps';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import ErrorMessage from '../../components/common/ErrorMessage';
 import StatusUpdates from '../../components/reports/StatusUpdates';
+import ReportGeometryShape from '../../components/maps/ReportGeometryShape';
 import { useReport } from '../../hooks/useReports';
 import { REPORT_CATEGORIES, REPORT_STATUSES } from '../../config/api';
+import { describeGeometry, getGeometryRegion } from '../../utils/measurement';
 
 const ReportDetailScreen = ({ route, navigation }) => {
   const { reportId } = route.params;
@@ -121,6 +124,28 @@ const ReportDetailScreen = ({ route, navigation }) => {
           </View>
         </View>
 
+        {report.geometry && report.geometry.type !== 'Point' && (
+          <View style={styles.geometryContainer}>
+            <Text style={styles.sectionTitle}>
+              {report.geometry.type === 'Polygon' ? 'Affected Area' : 'Affected Route'}
+            </Text>
+            <MapView
+              style={styles.geometryMap}
+              initialRegion={getGeometryRegion(report.geometry)}
+              scrollEnabled={false}
+              zoomEnabled={false}
+              pitchEnabled={false}
+              rotateEnabled={false}
+            >
+              <ReportGeometryShape
+                geometry={report.geometry}
+                color={status?.color || '#2196F3'}
+              />
+            </MapView>
+            <Text style={styles.geometryText}>{describeGeometry(report.geometry)}</Text>
+          </View>
+        )}
+
         {report.photo_url && (
           <Image source={{ uri: report.photo_url }} style={styles.photo} />
         )}
@@ -240,6 +265,19 @@ const styles = StyleSheet.create({
     borderRadius: 12,
     marginBottom: 20,
   },
+  geometryContainer: {
+    marginBottom: 20,
+  },
+  geometryMap: {
+    width: '100%',
+    height: 200,
+    borderRadius: 12,
+  },
+  geometryText: {
+    marginTop: 8,
+    fontSize: 14,
+    color: '#666',
+  },
   descriptionContainer: {
     marginBottom: 24,
   },
@@ -0,0 +1,342 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import Button from '../../components/common/Button';
+import { theme } from '../../config/theme';
+import { useGeoJSON } from '../../hooks/useGeoJSON';
+import { describeSchemaReport } from '../../utils/wardSchema';
+import { describeRepairReport } from '../../utils/geometryRepair';
+
+const REPAIR_FIX_LABELS = {
+  droppedPositions: 'invalid positions dropped',
+  removedDuplicateVertices: 'duplicate vertices removed',
+  closedRings: 'rings closed',
+  reversedRings: 'rings rewound',
+  droppedRings: 'empty rings dropped',
+  swappedFeatures: 'lat/lng swaps fixed',
+};
+
+/**
+ * Shows how the active ward dataset was mapped onto the canonical ward
+ * fields, so a new dataset's property names can be checked against its schema.
+ */
+const WardDataDebugScreen = ({ navigation }) => {
+  const {
+    layer,
+    dataset,
+    schemaReport,
+    repairReport,
+    cacheInfo,
+    cacheHealth,
+    stale,
+    bundled,
+    revalidating,
+    loading,
+    error,
+    refreshGeoJSON,
+  } = useGeoJSON();
+
+  const renderField = (field) => {
+    const mapping = dataset.schema[field];
+    const stats = schemaReport?.fields?.[field];
+    const sources = Object.entries(stats?.sources || {});
+    const hasProblem = stats && (stats.missing > 0 || stats.invalid > 0);
+
+    return (
+      <View key={field} style={styles.fieldRow}>
+        <View style={styles.fieldHeader}>
+          <Text style={styles.fieldName}>{field}</Text>
+          {mapping.required && <Text style={styles.requiredTag}>required</Text>}
+          {hasProblem && (
+            <Ionicons
+              name="warning-outline"
+              size={16}
+              color={mapping.required ? theme.colors.error : theme.colors.warning}
+            />
+          )}
+        </View>
+        <Text style={styles.fieldDetail}>Looks for: {(mapping.from || []).join(', ')}</Text>
+        {mapping.default && (
+          <Text style={styles.fieldDetail}>Default: {mapping.default}</Text>
+        )}
+        {stats && (
+          <Text style={styles.fieldDetail}>
+            {sources.length > 0
+              ? sources.map(([source, count]) => `${source} ×${count}`).join(', ')
+              : 'No source property matched'}
+            {stats.defaulted > 0 ? ` · defaulted ×${stats.defaulted}` : ''}
+            {stats.invalid > 0 ? ` · invalid ×${stats.invalid}` : ''}
+            {stats.missing > 0 ? ` · missing ×${stats.missing}` : ''}
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderRepairReport = () => {
+    if (!repairReport) return null;
+
+    const fixes = Object.entries(repairReport.fixes).filter(([, count]) => count > 0);
+    const hiddenIssues = repairReport.issueCount - repairReport.issues.length;
+
+    return (
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Geometry check</Text>
+        <Text style={styles.summaryText}>{describeRepairReport(repairReport)}</Text>
+        {fixes.length > 0 && (
+          <Text style={styles.fieldDetail}>
+            {fixes.map(([fix, count]) => `${REPAIR_FIX_LABELS[fix]} ×${count}`).join(', ')}
+          </Text>
+        )}
+        {repairReport.issues.map((item, index) => (
+          <Text
+            key={index}
+            style={item.action === 'fixed' ? styles.fieldDetail : styles.errorText}
+          >
+            Feature #{item.featureIndex}{item.id !== null ? ` (${item.id})` : ''} · {item.action}: {item.message}
+          </Text>
+        ))}
+        {hiddenIssues > 0 && (
+          <Text style={styles.fieldDetail}>…and {hiddenIssues} more</Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderCacheInfo = () => {
+    if (!cacheInfo) return null;
+
+    return (
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Cached copy</Text>
+        {stale && (
+          <Text style={styles.errorText}>Could not revalidate; showing the last cached copy</Text>
+        )}
+        <Text style={styles.fieldDetail}>Version: {cacheInfo.datasetVersion || 'not published'}</Text>
+        <Text style={styles.fieldDetail}>Content hash: {cacheInfo.contentHash || 'unknown'}</Text>
+        {cacheInfo.etag && <Text style={styles.fieldDetail}>ETag: {cacheInfo.etag}</Text>}
+        {cacheInfo.lastModified && (
+          <Text style={styles.fieldDetail}>Last-Modified: {cacheInfo.lastModified}</Text>
+        )}
+        <Text style={styles.fieldDetail}>
+          Downloaded {new Date(cacheInfo.fetchedAt).toLocaleString()}
+        </Text>
+        {cacheInfo.syncedAt && (
+          <Text style={styles.fieldDetail}>
+            Synced wards created up to {new Date(cacheInfo.syncedAt).toLocaleString()}
+          </Text>
+        )}
+        <Text style={styles.fieldDetail}>
+          {revalidating
+            ? 'Checking for updates...'
+            : `Last checked ${new Date(cacheInfo.validatedAt).toLocaleString()}`}
+        </Text>
+        {cacheHealth && (
+          <Text style={cacheHealth.healthy ? styles.fieldDetail : styles.errorText}>
+            {cacheHealth.healthy
+              ? `${cacheHealth.chunkCount} chunk files, ${(cacheHealth.bytes / 1024 / 1024).toFixed(1)} MB`
+              : `${cacheHealth.missing.length} chunk files missing: ${cacheHealth.missing.slice(0, 5).join(', ')}`}
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderReport = () => {
+    if (!schemaReport) {
+      return (
+        <Text style={styles.emptyText}>
+          No mapping report yet. Reload the dataset to validate it against its schema.
+        </Text>
+      );
+    }
+
+    const hiddenErrors = schemaReport.errorCount - schemaReport.errors.length;
+
+    return (
+      <>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Summary</Text>
+          <Text style={styles.summaryText}>{describeSchemaReport(schemaReport)}</Text>
+          <Text style={styles.fieldDetail}>
+            Checked {new Date(schemaReport.checkedAt).toLocaleString()}
+          </Text>
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Field mapping</Text>
+          {Object.keys(dataset.schema).map(renderField)}
+        </View>
+
+        {schemaReport.unmappedProperties.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Unmapped properties</Text>
+            <Text style={styles.fieldDetail}>
+              {schemaReport.unmappedProperties.map(({ name, count }) => `${name} ×${count}`).join(', ')}
+            </Text>
+          </View>
+        )}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Validation errors ({schemaReport.errorCount})</Text>
+          {schemaReport.errors.length === 0 ? (
+            <Text style={styles.fieldDetail}>Every feature has the required fields.</Text>
+          ) : (
+            schemaReport.errors.map((item, index) => (
+              <Text key={index} style={styles.errorText}>
+                Feature #{item.featureIndex} · {item.field}: {item.message}
+              </Text>
+            ))
+          )}
+          {hiddenErrors > 0 && (
+            <Text style={styles.fieldDetail}>…and {hiddenErrors} more</Text>
+          )}
+        </View>
+      </>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={theme.colors.text} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Ward Data</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{dataset.name}</Text>
+          <Text style={styles.fieldDetail}>Dataset: {dataset.id}</Text>
+          {layer.source.type === 'wards' ? (
+            <>
+              <Text style={styles.fieldDetail}>
+                Source: backend wards table{layer.source.municipalityId ? ` (municipality ${layer.source.municipalityId})` : ''}
+              </Text>
+              <Text style={styles.fieldDetail} numberOfLines={2}>Fallback: {dataset.url}</Text>
+            </>
+          ) : (
+            <Text style={styles.fieldDetail} numberOfLines={2}>{dataset.url}</Text>
+          )}
+          {bundled && (
+            <Text style={styles.fieldDetail}>Showing the simplified offline copy bundled with the app</Text>
+          )}
+          {error && <Text style={styles.errorText}>{error}</Text>}
+        </View>
+
+        {!loading && renderCacheInfo()}
+
+        {loading ? <LoadingSpinner message="Loading ward data..." /> : renderReport()}
+
+        {!loading && renderRepairReport()}
+
+        <Button
+          title="Reload and Validate"
+          onPress={refreshGeoJSON}
+          variant="outline"
+          disabled={loading || revalidating}
+          style={styles.reloadButton}
+        />
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: theme.spacing.lg - 4,
+    paddingVertical: theme.spacing.md,
+    backgroundColor: theme.colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  backButton: {
+    padding: theme.spacing.xs,
+  },
+  headerTitle: {
+    fontSize: theme.fonts.sizes.lg,
+    fontWeight: theme.fonts.weights.semibold,
+    color: theme.colors.text,
+  },
+  placeholder: {
+    width: 32,
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: theme.colors.surface,
+    padding: theme.spacing.lg - 4,
+    marginTop: theme.spacing.md,
+  },
+  sectionTitle: {
+    fontSize: theme.fonts.sizes.md,
+    fontWeight: theme.fonts.weights.semibold,
+    color: theme.colors.text,
+    marginBottom: theme.spacing.sm,
+  },
+  summaryText: {
+    fontSize: theme.fonts.sizes.md,
+    color: theme.colors.text,
+    marginBottom: theme.spacing.xs,
+  },
+  fieldRow: {
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  fieldHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.xs,
+  },
+  fieldName: {
+    fontSize: theme.fonts.sizes.md,
+    fontWeight: theme.fonts.weights.medium,
+    color: theme.colors.text,
+    fontFamily: 'monospace',
+    marginRight: theme.spacing.sm,
+  },
+  requiredTag: {
+    fontSize: theme.fonts.sizes.xs,
+    color: theme.colors.primary,
+    marginRight: theme.spacing.sm,
+  },
+  fieldDetail: {
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.textSecondary,
+  },
+  errorText: {
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.error,
+    marginBottom: theme.spacing.xs,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: theme.colors.textSecondary,
+    fontSize: theme.fonts.sizes.sm,
+    padding: theme.spacing.lg,
+  },
+  reloadButton: {
+    margin: theme.spacing.lg - 4,
+  },
+});
+
+export default WardDataDebugScreen;
@@ -0,0 +1,299 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getFeatureBBox, buildFeatureIndex } from '../utils/geoUtils';
+import { isSpatialIndexFor } from '../utils/spatialIndex';
+import { longitudeToTileX, latitudeToTileY } from '../utils/tileUtils';
+
+const CACHE_DIRECTORY = `${FileSystem.documentDirectory}boundaries/`;
+
+// Level key for the base dataset used for lookups; other levels are keyed by tolerance
+export const BASE_LEVEL = 'base';
+
+// Level key for the repaired but unsimplified dataset, which incremental syncs re-simplify
+export const RAW_LEVEL = 'raw';
+
+// Spatial index over the base level, in the order readLevel returns its features
+const SPATIAL_INDEX_FILE = 'base-index.json';
+
+const mergeBBoxes = (a, b) => {
+  if (!a) return b;
+  return [
+    Math.min(a[0], b[0]),
+    Math.min(a[1], b[1]),
+    Math.max(a[2], b[2]),
+    Math.max(a[3], b[3]),
+  ];
+};
+
+/**
+ * Groups features into map tiles by the centre of their bounding box, so each
+ * feature is stored exactly once
+ * @param {Array} features - GeoJSON features
+ * @param {number} zoom - Tile zoom level of the chunks
+ * @returns {Object} Map of chunk key to {bbox, features}
+ */
+const chunkFeatures = (features, zoom) => {
+  const chunks = {};
+
+  features.forEach(feature => {
+    const bbox = feature.bbox || getFeatureBBox(feature);
+    if (!bbox) return;
+
+    const x = longitudeToTileX((bbox[0] + bbox[2]) / 2, zoom);
+    const y = latitudeToTileY((bbox[1] + bbox[3]) / 2, zoom);
+    const key = `${x}_${y}`;
+
+    if (!chunks[key]) chunks[key] = { bbox: null, features: [] };
+    // The chunk's bbox covers its features in full, not just its tile
+    chunks[key].bbox = mergeBBoxes(chunks[key].bbox, bbox);
+    chunks[key].features.push(feature);
+  });
+
+  return chunks;
+};
+
+/**
+ * Stores processed boundary layers as small per-tile files instead of one
+ * AsyncStorage string, which Android caps in size and which has to be parsed
+ * in full on the JS thread. AsyncStorage only keeps each layer's index: the
+ * validators, schema report and the bounding box of every chunk.
+ *
+ * Every download is written to a new build directory and the index is swapped
+ * over once all chunks are on disk, so a failed write never breaks the cache.
+ *
+ * The spatial index over the base level is written with each build, and the
+ * base level read for lookups is kept in memory once per layer, so every
+ * screen doing ward lookups shares one copy instead of rebuilding it.
+ */
+class BoundaryCacheService {
+  constructor() {
+    // Layer id to {build, promise} of the data getLookupData resolved for that build
+    this.lookups = new Map();
+  }
+
+  getLayerDirectory(layer) {
+    return `${CACHE_DIRECTORY}${layer.id}/`;
+  }
+
+  getChunkPath(layer, build, level, key) {
+    return `${this.getLayerDirectory(layer)}${build}/${level}/${key}.json`;
+  }
+
+  async getIndex(layer) {
+    try {
+      const stored = await AsyncStorage.getItem(layer.cacheKey);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.warn(`Failed to read ${layer.id} cache index:`, error);
+      return null;
+    }
+  }
+
+  async saveIndex(layer, index) {
+    await AsyncStorage.setItem(layer.cacheKey, JSON.stringify(index));
+    return index;
+  }
+
+  /**
+   * Writes every detail level of a processed dataset as chunk files, then saves the index
+   * @param {Object} layer - Entry from BOUNDARY_LAYERS
+   * @param {Object} levels - Map of level key (RAW_LEVEL, BASE_LEVEL or a tolerance) to GeoJSON
+   * @param {Object} metadata - Validators, schema report etc. stored with the index
+   * @returns {Promise<Object>} The saved index
+   */
+  async write(layer, levels, metadata) {
+    const build = String(Date.now());
+    const buildDirectory = `${this.getLayerDirectory(layer)}${build}/`;
+    const index = {
+      ...metadata,
+      build,
+      chunkZoom: layer.chunkZoom,
+      featureCount: levels[BASE_LEVEL]?.features?.length || 0,
+      levels: {},
+    };
+
+    try {
+      for (const [level, geojson] of Object.entries(levels)) {
+        await FileSystem.makeDirectoryAsync(`${buildDirectory}${level}/`, { intermediates: true });
+
+        const chunks = chunkFeatures(geojson?.features || [], layer.chunkZoom);
+        index.levels[level] = [];
+
+        for (const [key, chunk] of Object.entries(chunks)) {
+          await FileSystem.writeAsStringAsync(
+            this.getChunkPath(layer, build, level, key),
+            JSON.stringify(chunk.features)
+          );
+          index.levels[level].push({ key, bbox: chunk.bbox, count: chunk.features.length });
+        }
+
+        if (level === BASE_LEVEL) {
+          // Chunk order matches index.levels, which is the order readLevel reads them in
+          const features = Object.values(chunks).flatMap(chunk => chunk.features);
+          const spatialIndex = buildFeatureIndex({ type: 'FeatureCollection', features });
+          if (spatialIndex) {
+            await FileSystem.writeAsStringAsync(`${buildDirectory}${SPATIAL_INDEX_FILE}`, JSON.stringify(spatialIndex));
+          }
+        }
+      }
+
+      await this.saveIndex(layer, index);
+    } catch (error) {
+      await FileSystem.deleteAsync(buildDirectory, { idempotent: true });
+      throw error;
+    }
+
+    await this.removeOldBuilds(layer, build);
+    console.log(`Cached ${layer.id} boundaries in ${index.levels[BASE_LEVEL].length} chunks`);
+    return index;
+  }
+
+  /**
+   * Reads one chunk of a cached layer
+   * @param {Object} layer - Entry from BOUNDARY_LAYERS
+   * @param {Object} index - Cache index the chunk belongs to
+   * @param {string} level - Level key
+   * @param {string} key - Chunk key
+   * @returns {Promise<Array|null>} Features, or null if the file is missing or unreadable
+   */
+  async readChunk(layer, index, level, key) {
+    try {
+      const content = await FileSystem.readAsStringAsync(this.getChunkPath(layer, index.build, level, key));
+      return JSON.parse(content);
+    } catch (error) {
+      console.warn(`Failed to read ${layer.id} chunk ${level}/${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Reads every chunk of one level, e.g. to merge new features into it
+   * @param {Object} layer - Entry from BOUNDARY_LAYERS
+   * @param {Object} index - Cache index
+   * @param {string} level - Level key
+   * @returns {Promise<Array>} Features; throws if any chunk is unreadable, listing
+   *   them in the error's `missing`
+   */
+  async readLevel(layer, index, level) {
+    const features = [];
+    const missing = [];
+
+    for (const { key } of index.levels[level] || []) {
+      const chunk = await this.readChunk(layer, index, level, key);
+      if (chunk) {
+        features.push(...chunk);
+      } else {
+        missing.push(`${level}/${key}`);
+      }
+    }
+
+    if (missing.length > 0) {
+      const error = new Error(`Cached ${layer.id} chunk ${missing[0]} is missing`);
+      error.missing = missing;
+      throw error;
+    }
+
+    return features;
+  }
+
+  /**
+   * Reads the spatial index written with a build
+   * @param {Object} layer - Entry from BOUNDARY_LAYERS
+   * @param {Object} index - Cache index
+   * @param {number} featureCount - Features in the base level, to check the index against
+   * @returns {Promise<Object|null>} Index, or null if it is missing or doesn't match
+   */
+  async readSpatialIndex(layer, index, featureCount) {
+    try {
+      const content = await FileSystem.readAsStringAsync(
+        `${this.getLayerDirectory(layer)}${index.build}/${SPATIAL_INDEX_FILE}`
+      );
+      const spatialIndex = JSON.parse(content);
+      return isSpatialIndexFor(spatialIndex, featureCount) ? spatialIndex : null;
+    } catch (error) {
+      console.log(`No stored ${layer.id} spatial index, building it`);
+      return null;
+    }
+  }
+
+  /**
+   * The whole base level and its spatial index, for point lookups. Read once per
+   * build and shared by every caller until the build changes.
+   * @param {Object} layer - Entry from BOUNDARY_LAYERS
+   * @param {Object} index - Cache index
+   * @returns {Promise<Object>} {build, geoJsonData, spatialIndex}; throws like readLevel
+   */
+  getLookupData(layer, index) {
+    const current = this.lookups.get(layer.id);
+    if (current?.build === index.build) return current.promise;
+
+    const promise = (async () => {
+      const features = await this.readLevel(layer, index, BASE_LEVEL);
+      const geoJsonData = { type: 'FeatureCollection', features };
+      const spatialIndex = await this.readSpatialIndex(layer, index, features.length)
+        || buildFeatureIndex(geoJsonData);
+      return { build: index.build, geoJsonData, spatialIndex };
+    })();
+
+    this.lookups.set(layer.id, { build: index.build, promise });
+    // A failed read is retried by the next caller
+    promise.catch(() => {
+      if (this.lookups.get(layer.id)?.promise === promise) this.lookups.delete(layer.id);
+    });
+
+    return promise;
+  }
+
+  async removeOldBuilds(layer, keepBuild) {
+    try {
+      const directory = this.getLayerDirectory(layer);
+      const builds = await FileSystem.readDirectoryAsync(directory);
+      await Promise.all(builds
+        .filter(build => build !== keepBuild)
+        .map(build => FileSystem.deleteAsync(`${directory}${build}`, { idempotent: true })));
+    } catch (error) {
+      console.warn(`Failed to remove old ${layer.id} cache builds:`, error);
+    }
+  }
+
+  async clear(layer) {
+    this.lookups.delete(layer.id);
+    await AsyncStorage.removeItem(layer.cacheKey);
+    await FileSystem.deleteAsync(this.getLayerDirectory(layer), { idempotent: true });
+  }
+
+  /**
+   * Checks that every chunk listed in the index is still on disk
+   * @param {Object} layer - Entry from BOUNDARY_LAYERS
+   * @param {Object} index - Cache index
+   * @returns {Promise<Object>} {healthy, build, chunkCount, missing, bytes, checkedAt}
+   */
+  async checkHealth(layer, index) {
+    const missing = [];
+    let chunkCount = 0;
+    let bytes = 0;
+
+    for (const [level, chunks] of Object.entries(index?.levels || {})) {
+      for (const { key } of chunks) {
+        chunkCount++;
+        const info = await FileSystem.getInfoAsync(this.getChunkPath(layer, index.build, level, key), { size: true });
+        if (info.exists) {
+          bytes += info.size || 0;
+        } else {
+          missing.push(`${level}/${key}`);
+        }
+      }
+    }
+
+    return {
+      healthy: !!index && missing.length === 0,
+      build: index?.build || null,
+      chunkCount,
+      missing,
+      bytes,
+      checkedAt: Date.now(),
+    };
+  }
+}
+
+export default new BoundaryCacheService();
@@ -0,0 +1,221 @@
+import { Asset } from 'expo-asset';
+import * as FileSystem from 'expo-file-system/legacy';
+import municipalityService from './municipalityService';
+import wardService from './wardService';
+import { hashString } from '../utils/contentHash';
+
+const FETCH_TIMEOUT_MS = 30000;
+
+/**
+ * Wraps municipality records as features, accepting either a bare geometry
+ * or a whole Feature in the `geojson` column
+ * @param {Array} municipalities - Records from GET /api/municipalities?include_geojson=true
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+const municipalitiesToFeatureCollection = (municipalities = []) => ({
+  type: 'FeatureCollection',
+  features: municipalities
+    .filter(municipality => municipality.geojson)
+    .map(({ geojson, ...municipality }) => ({
+      type: 'Feature',
+      properties: { ...(geojson.properties || {}), ...municipality },
+      geometry: geojson.type === 'Feature' ? geojson.geometry : geojson,
+    })),
+});
+
+/**
+ * Turns rows of the wards table into features. The row's columns win over
+ * keys of the same name in its `properties`, apart from a missing municipality
+ * @param {Array} wards - Rows from GET /api/wards
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+const wardsToFeatureCollection = (wards = []) => ({
+  type: 'FeatureCollection',
+  features: wards
+    // Rows default to an empty `geojson` object until a boundary is loaded
+    .filter(ward => ward.geojson?.type)
+    .map(({ geojson, properties, ...ward }) => ({
+      type: 'Feature',
+      properties: {
+        ...(geojson.properties || {}),
+        ...(properties || {}),
+        id: ward.ward_id,
+        name: ward.name,
+        ...(ward.municipality_id ? { municipality_id: ward.municipality_id } : {}),
+        created_at: ward.created_at,
+      },
+      geometry: geojson.type === 'Feature' ? geojson.geometry : geojson,
+    })),
+});
+
+/**
+ * Version string published with a dataset, if it has one
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @returns {string|null}
+ */
+const getDatasetVersion = (geojson) => {
+  const version = geojson?.version || geojson?.metadata?.version || geojson?.properties?.version;
+  return version ? String(version) : null;
+};
+
+class BoundaryService {
+  /**
+   * Downloads a GeoJSON file, revalidating against a cached copy when validators are given
+   * @param {string} url - GeoJSON URL
+   * @param {Object} validators - {etag, lastModified} from the cached copy
+   * @returns {Promise<Object>} {notModified: true} or {geojson, etag, lastModified, contentHash, version}
+   */
+  async fetchGeoJSON(url, validators = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+    const headers = {};
+    if (validators.etag) headers['If-None-Match'] = validators.etag;
+    if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+    try {
+      const response = await fetch(url, {
+        headers,
+        signal: controller.signal,
+      });
+
+      if (response.status === 304) {
+        return { notModified: true };
+      }
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch GeoJSON: ${response.status}`);
+      }
+
+      const text = await response.text();
+      const geojson = JSON.parse(text);
+
+      return {
+        geojson,
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified'),
+        contentHash: hashString(text),
+        version: getDatasetVersion(geojson),
+      };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Reads wards from the backend's wards table. With a `syncedAt` validator
+   * only wards created since then are returned, flagged as `incremental`.
+   * Rows whose `geojson` is still the column's empty default are skipped; a
+   * full sync that leaves no boundaries at all fails, so the fallback is used.
+   * @param {Object} source - {type: 'wards', municipalityId}
+   * @param {Object} validators - {syncedAt} of the cached copy
+   * @returns {Promise<Object>} Same shape as fetchGeoJSON's result, plus incremental, syncedAt
+   *   and skippedRows
+   */
+  async fetchWardsTable(source, validators = {}) {
+    const createdAfter = validators.syncedAt || null;
+    const wards = await wardService.getWards({
+      municipalityId: source.municipalityId,
+      createdAfter,
+    });
+
+    const geojson = wardsToFeatureCollection(wards);
+    const skippedRows = wards.length - geojson.features.length;
+    if (skippedRows > 0) {
+      console.warn(`Skipped ${skippedRows} of ${wards.length} wards without a boundary geometry`);
+    }
+
+    if (!createdAfter && geojson.features.length === 0) {
+      throw new Error(wards.length === 0
+        ? 'The wards table has no wards'
+        : `None of the ${wards.length} wards in the wards table has a boundary geometry`);
+    }
+
+    const syncedAt = wards.reduce(
+      (latest, ward) => (ward.created_at && ward.created_at > latest ? ward.created_at : latest),
+      createdAfter || ''
+    );
+
+    return {
+      geojson,
+      etag: null,
+      lastModified: null,
+      contentHash: hashString(JSON.stringify(wards)),
+      version: null,
+      incremental: !!createdAfter,
+      syncedAt: syncedAt || null,
+      skippedRows,
+    };
+  }
+
+  /**
+   * Loads the raw GeoJSON for a boundary layer from its configured source
+   * @param {Object} layer - Entry from BOUNDARY_LAYERS
+   * @param {Object} validators - {etag, lastModified, syncedAt} of the cached copy, for
+   *   conditional requests and incremental sync
+   * @returns {Promise<Object>} Result of fetchGeoJSON; the GeoJSON is before schema mapping
+   */
+  async fetchLayer(layer, validators = {}) {
+    const { source } = layer;
+
+    switch (source.type) {
+      case 'url':
+        if (!source.url) {
+          throw new Error(`No URL configured for the ${layer.label} layer`);
+        }
+        return this.fetchGeoJSON(source.url, validators);
+
+      // The municipalities endpoint has no validators, so changes are found by hash
+      case 'municipalities': {
+        const municipalities = await municipalityService.getMunicipalities(true);
+        const geojson = municipalitiesToFeatureCollection(municipalities);
+        return {
+          geojson,
+          etag: null,
+          lastModified: null,
+          contentHash: hashString(JSON.stringify(municipalities)),
+          version: null,
+        };
+      }
+
+      case 'wards':
+        try {
+          return await this.fetchWardsTable(source, validators);
+        } catch (error) {
+          if (!source.fallback) throw error;
+          console.warn('Wards table unavailable, loading the fallback source:', error.message);
+          return this.fetchLayer({ ...layer, source: source.fallback }, validators);
+        }
+
+      default:
+        throw new Error(`Unknown boundary source type: ${source.type}`);
+    }
+  }
+
+  /**
+   * Reads the simplified copy of a layer bundled with the app, which works offline
+   * @param {Object} layer - Entry from BOUNDARY_LAYERS with a bundledAsset
+   * @returns {Promise<Object>} Same shape as fetchLayer's result
+   */
+  async fetchBundledLayer(layer) {
+    if (!layer.bundledAsset) {
+      throw new Error(`No bundled data for the ${layer.label} layer`);
+    }
+
+    const asset = Asset.fromModule(layer.bundledAsset);
+    await asset.downloadAsync();
+
+    const text = await FileSystem.readAsStringAsync(asset.localUri || asset.uri);
+    const geojson = JSON.parse(text);
+
+    return {
+      geojson,
+      etag: null,
+      lastModified: null,
+      contentHash: hashString(text),
+      version: getDatasetVersion(geojson),
+    };
+  }
+}
+
+export default new BoundaryService();
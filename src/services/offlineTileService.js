@@ -0,0 +1,221 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { ENV } from '../config/constants';
+import { getFeatureBBox, featureIntersectsBBox } from '../utils/geoUtils';
+import { getTileBBox, getTilesForBBox } from '../utils/tileUtils';
+
+const TILE_DIRECTORY = `${FileSystem.documentDirectory}map-tiles/`;
+const METADATA_KEY = 'offline_map_tiles';
+const TILE_EXPIRY_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Keeps a download to a few tens of MB at most
+const MAX_TILES = 3000;
+const MAX_CONCURRENT_DOWNLOADS = 4;
+// The public OpenStreetMap tile servers forbid bulk downloads
+const DISALLOWED_TILE_HOSTS = /(^|\.)openstreetmap\.org$/i;
+
+export const OFFLINE_ZOOM_PRESETS = [
+  { value: 'basic', label: 'Basic', zoomLevels: [12, 13, 14] },
+  { value: 'streets', label: 'Streets', zoomLevels: [12, 13, 14, 15, 16] },
+  { value: 'detailed', label: 'Detailed', zoomLevels: [12, 13, 14, 15, 16, 17] },
+];
+
+class OfflineTileService {
+  constructor() {
+    this.cancelled = false;
+    this.listeners = new Set();
+  }
+
+  // Lets every mounted map pick up a new or removed download
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.getStatus().then(status => {
+      this.listeners.forEach(listener => listener(status));
+    });
+  }
+
+  // LocalTile path template for the downloaded tiles; LocalTile wants a plain
+  // filesystem path, not the file:// URI expo-file-system works with
+  getPathTemplate() {
+    return `${TILE_DIRECTORY.replace(/^file:\/\//, '')}{z}/{x}/{y}.png`;
+  }
+
+  getTilePath(tile) {
+    return `${TILE_DIRECTORY}${tile.zoom}/${tile.x}/${tile.y}.png`;
+  }
+
+  /**
+   * Whether a tile provider that allows bulk downloads is configured
+   * @returns {boolean}
+   */
+  isDownloadAvailable() {
+    const url = ENV.MAP_TILE_URL;
+    if (!url || !url.includes('{z}') || !url.includes('{x}') || !url.includes('{y}')) return false;
+
+    const host = url.match(/^https?:\/\/([^/:]+)/i)?.[1];
+    return !!host && !DISALLOWED_TILE_HOSTS.test(host);
+  }
+
+  getTileUrl(tile) {
+    return ENV.MAP_TILE_URL
+      .replace('{z}', tile.zoom)
+      .replace('{x}', tile.x)
+      .replace('{y}', tile.y);
+  }
+
+  /**
+   * Lists the tiles touching the ward polygon at each zoom level
+   * @param {Object} wardFeature - GeoJSON ward feature
+   * @param {Array} zoomLevels - Zoom levels to include
+   * @returns {Array} Tiles {x, y, zoom}
+   */
+  getTilesForWard(wardFeature, zoomLevels) {
+    const bbox = getFeatureBBox(wardFeature);
+    if (!bbox) return [];
+
+    return zoomLevels.flatMap(zoom => (
+      getTilesForBBox(bbox, zoom).filter(tile => featureIntersectsBBox(wardFeature, getTileBBox(tile)))
+    ));
+  }
+
+  async getMetadata() {
+    try {
+      const stored = await AsyncStorage.getItem(METADATA_KEY);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.warn('Failed to read offline map metadata:', error);
+      return null;
+    }
+  }
+
+  async saveMetadata(metadata) {
+    await AsyncStorage.setItem(METADATA_KEY, JSON.stringify(metadata));
+    this.notify();
+    return metadata;
+  }
+
+  /**
+   * Current offline map, with expiry worked out
+   * @returns {Promise<Object|null>} Metadata plus isExpired, or null if nothing is downloaded
+   */
+  async getStatus() {
+    const metadata = await this.getMetadata();
+    if (!metadata) return null;
+
+    return {
+      ...metadata,
+      isExpired: Date.now() > metadata.expiresAt,
+    };
+  }
+
+  async setEnabled(enabled) {
+    const metadata = await this.getMetadata();
+    if (!metadata) return null;
+    return this.saveMetadata({ ...metadata, enabled });
+  }
+
+  async downloadTile(tile) {
+    const path = this.getTilePath(tile);
+    await FileSystem.makeDirectoryAsync(path.slice(0, path.lastIndexOf('/')), { intermediates: true });
+
+    const result = await FileSystem.downloadAsync(this.getTileUrl(tile), path);
+    if (result.status !== 200) {
+      await FileSystem.deleteAsync(path, { idempotent: true });
+      throw new Error(`Tile download failed with status ${result.status}`);
+    }
+
+    const info = await FileSystem.getInfoAsync(path, { size: true });
+    return info.size || 0;
+  }
+
+  /**
+   * Downloads the base map tiles covering a ward, replacing any earlier download
+   * @param {Object} ward - Ward info with geometry {id, name, geometry}
+   * @param {Array} zoomLevels - Zoom levels to download
+   * @param {Function} onProgress - Called with (downloaded, total)
+   * @returns {Promise<Object>} Saved metadata
+   */
+  async downloadWard(ward, zoomLevels, onProgress) {
+    try {
+      if (!this.isDownloadAvailable()) {
+        throw new Error('Offline map downloads are not available: no map tile provider is configured');
+      }
+
+      const tiles = this.getTilesForWard({ type: 'Feature', geometry: ward.geometry }, zoomLevels);
+
+      if (tiles.length === 0) {
+        throw new Error('Could not work out the area to download for this ward');
+      }
+      if (tiles.length > MAX_TILES) {
+        throw new Error(`This area needs ${tiles.length} tiles; choose fewer zoom levels`);
+      }
+
+      this.cancelled = false;
+      await this.clear();
+
+      const queue = [...tiles];
+      let downloaded = 0;
+      let failed = 0;
+      let bytes = 0;
+
+      const worker = async () => {
+        while (queue.length > 0 && !this.cancelled) {
+          const tile = queue.shift();
+          try {
+            bytes += await this.downloadTile(tile);
+            downloaded += 1;
+          } catch (error) {
+            failed += 1;
+            console.warn('Failed to download map tile:', this.getTilePath(tile), error.message);
+          }
+          if (onProgress) onProgress(downloaded + failed, tiles.length);
+        }
+      };
+
+      await Promise.all(Array.from({ length: MAX_CONCURRENT_DOWNLOADS }, worker));
+
+      if (this.cancelled) {
+        await this.clear();
+        throw new Error('Download cancelled');
+      }
+      if (downloaded === 0) {
+        throw new Error('Could not download any map tiles. Check your connection and try again.');
+      }
+
+      const now = Date.now();
+      return this.saveMetadata({
+        wardId: ward.id,
+        wardName: ward.name,
+        zoomLevels,
+        tileCount: downloaded,
+        failedCount: failed,
+        bytes,
+        downloadedAt: now,
+        expiresAt: now + TILE_EXPIRY_DAYS * DAY_MS,
+        enabled: true,
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  cancelDownload() {
+    this.cancelled = true;
+  }
+
+  async clear() {
+    try {
+      await FileSystem.deleteAsync(TILE_DIRECTORY, { idempotent: true });
+      await AsyncStorage.removeItem(METADATA_KEY);
+      this.notify();
+    } catch (error) {
+      console.warn('Failed to clear offline map:', error);
+    }
+  }
+}
+
+export default new OfflineTileService();
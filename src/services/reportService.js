@@ -1,5 +1,6 @@
 import { API_BASE_URL, API_ENDPOINTS } from '../config/api';
 import { supabase } from '../config/supabase';
+import { getGeometryCentroid } from '../utils/measurement';
 
 class ReportService {
   async getAuthHeaders() {
@@ -10,14 +11,28 @@ class ReportService {
     };
   }
 
+  /**
+   * Submits a new report. Besides `lat`/`lng`, a report may carry an optional
+   * GeoJSON `geometry` (Point, LineString or Polygon) for problems that cover a
+   * stretch of road or an area; its centroid fills in a missing point location.
+   */
   async createReport(reportData) {
     try {
       const headers = await this.getAuthHeaders();
+
+      const body = { ...reportData };
+      if (body.geometry && (body.lat == null || body.lng == null)) {
+        const centroid = getGeometryCentroid(body.geometry);
+        if (centroid) {
+          body.lat = centroid.latitude;
+          body.lng = centroid.longitude;
+        }
+      }
       
       const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.REPORTS}`, {
         method: 'POST',
         headers,
-        body: JSON.stringify(reportData),
+        body: JSON.stringify(body),
       });
 
       const data = await response.json();
@@ -0,0 +1,183 @@
+import reportService from './reportService';
+import { getTileBBox, getTilesForBBox } from '../utils/tileUtils';
+
+// Tiles follow the standard web map (slippy) grid; the zoom is picked so a
+// viewport spans at most a few tiles in each direction
+const MIN_TILE_ZOOM = 6;
+const MAX_TILE_ZOOM = 14;
+const REPORTS_PER_TILE = 100;
+// A busy tile is read in pages up to this many; anything beyond is flagged as truncated
+const MAX_PAGES_PER_TILE = 3;
+// Past this many tiles (zoomed out beyond MIN_TILE_ZOOM) nothing is loaded and the map asks to zoom in
+const MAX_TILES_PER_REGION = 12;
+const TILE_TTL_MS = 5 * 60 * 1000;
+// Memory budget, counted in cached reports across all tiles
+const MAX_CACHED_REPORTS = 2000;
+
+class ReportTileService {
+  constructor() {
+    this.tiles = new Map();
+    this.inFlight = new Map();
+    this.cachedReportCount = 0;
+  }
+
+  getTileZoom(region) {
+    const zoom = Math.floor(Math.log2(360 / region.longitudeDelta));
+    return Math.max(MIN_TILE_ZOOM, Math.min(MAX_TILE_ZOOM, zoom));
+  }
+
+  getTilesForRegion(region) {
+    return getTilesForBBox([
+      region.longitude - region.longitudeDelta / 2,
+      region.latitude - region.latitudeDelta / 2,
+      region.longitude + region.longitudeDelta / 2,
+      region.latitude + region.latitudeDelta / 2,
+    ], this.getTileZoom(region));
+  }
+
+  getTileKey(tile, filters) {
+    return `${JSON.stringify(filters)}|${tile.zoom}/${tile.x}/${tile.y}`;
+  }
+
+  async fetchTile(tile, filters) {
+    const [minLng, minLat, maxLng, maxLat] = getTileBBox(tile);
+    const bounds = {
+      min_lat: minLat,
+      max_lat: maxLat,
+      min_lng: minLng,
+      max_lng: maxLng,
+    };
+
+    const reports = [];
+    for (let page = 0; page < MAX_PAGES_PER_TILE; page++) {
+      const result = await reportService.getReports({
+        ...filters,
+        ...bounds,
+        limit: REPORTS_PER_TILE,
+        offset: page * REPORTS_PER_TILE,
+      });
+
+      const pageReports = result.reports || [];
+      reports.push(...pageReports);
+
+      const hasMore = pageReports.length === REPORTS_PER_TILE
+        && (!Number.isFinite(result.total) || reports.length < result.total);
+      if (!hasMore) return { reports, truncated: false };
+    }
+
+    return { reports, truncated: true };
+  }
+
+  storeTile(key, { reports, truncated }) {
+    this.removeTile(key);
+    this.tiles.set(key, { reports, truncated, fetchedAt: Date.now(), lastUsed: Date.now() });
+    this.cachedReportCount += reports.length;
+    this.evict();
+  }
+
+  removeTile(key) {
+    const tile = this.tiles.get(key);
+    if (tile) {
+      this.cachedReportCount -= tile.reports.length;
+      this.tiles.delete(key);
+    }
+  }
+
+  // Drops least recently used tiles until the cache fits the memory budget
+  evict(protectedKeys = []) {
+    if (this.cachedReportCount <= MAX_CACHED_REPORTS) return;
+
+    const candidates = [...this.tiles.entries()]
+      .filter(([key]) => !protectedKeys.includes(key))
+      .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+
+    for (const [key] of candidates) {
+      if (this.cachedReportCount <= MAX_CACHED_REPORTS) break;
+      this.removeTile(key);
+    }
+  }
+
+  async loadTile(tile, filters) {
+    const key = this.getTileKey(tile, filters);
+    const cached = this.tiles.get(key);
+
+    if (cached && Date.now() - cached.fetchedAt < TILE_TTL_MS) {
+      cached.lastUsed = Date.now();
+      return cached;
+    }
+
+    // Share one request between overlapping region changes
+    if (!this.inFlight.has(key)) {
+      const request = this.fetchTile(tile, filters)
+        .then((result) => {
+          this.storeTile(key, result);
+          return result;
+        })
+        .finally(() => {
+          this.inFlight.delete(key);
+        });
+      this.inFlight.set(key, request);
+    }
+
+    try {
+      return await this.inFlight.get(key);
+    } catch (error) {
+      // Serve a stale tile rather than nothing when the network fails
+      if (cached) {
+        console.warn('Using stale report tile:', key, error.message);
+        return cached;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Returns the reports for every tile covering the region, fetching only missing or stale tiles
+   * @param {Object} region - Map region {latitude, longitude, latitudeDelta, longitudeDelta}
+   * @param {Object} filters - Extra report query parameters
+   * @returns {Promise<Object>} {reports, failedTiles, truncatedTiles, zoomIn}; zoomIn means the
+   *   region covers too many tiles and nothing was loaded
+   */
+  async getReportsForRegion(region, filters = {}) {
+    try {
+      const tiles = this.getTilesForRegion(region);
+      if (tiles.length > MAX_TILES_PER_REGION) {
+        return { reports: [], failedTiles: 0, truncatedTiles: 0, zoomIn: true };
+      }
+
+      const results = await Promise.allSettled(tiles.map(tile => this.loadTile(tile, filters)));
+
+      const reportsById = new Map();
+      let failedTiles = 0;
+      let truncatedTiles = 0;
+
+      results.forEach((result) => {
+        if (result.status === 'rejected') {
+          failedTiles += 1;
+          console.warn('Failed to load report tile:', result.reason?.message);
+          return;
+        }
+        if (result.value.truncated) truncatedTiles += 1;
+        result.value.reports.forEach(report => reportsById.set(report.id, report));
+      });
+
+      if (failedTiles === tiles.length && tiles.length > 0) {
+        throw results[0].reason;
+      }
+
+      // Keep the tiles on screen even if they push the cache over budget
+      this.evict(tiles.map(tile => this.getTileKey(tile, filters)));
+
+      return { reports: [...reportsById.values()], failedTiles, truncatedTiles, zoomIn: false };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  clear() {
+    this.tiles.clear();
+    this.cachedReportCount = 0;
+  }
+}
+
+export default new ReportTileService();
@@ -0,0 +1,60 @@
+import { API_BASE_URL, API_ENDPOINTS } from '../config/api';
+
+// The backend caps how many rows one request returns, so wards are read in pages
+const WARD_PAGE_SIZE = 500;
+
+class WardService {
+  async getWardsPage(filters = {}) {
+    try {
+      const queryParams = new URLSearchParams(filters).toString();
+      const url = `${API_BASE_URL}${API_ENDPOINTS.WARDS}${queryParams ? `?${queryParams}` : ''}`;
+
+      const response = await fetch(url, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch wards');
+      }
+
+      return data.data.wards;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Reads rows from the wards table, oldest first
+   * @param {Object} options
+   * @param {string} options.municipalityId - Only wards of this municipality
+   * @param {string} options.createdAfter - ISO timestamp; only wards added since, for incremental sync
+   * @param {boolean} options.includeGeojson - Include the boundary geometry
+   * @returns {Promise<Array>} Ward rows {id, ward_id, name, municipality_id, geojson, properties, created_at}
+   */
+  async getWards({ municipalityId = null, createdAfter = null, includeGeojson = true } = {}) {
+    const filters = { limit: WARD_PAGE_SIZE };
+    if (municipalityId) filters.municipality_id = municipalityId;
+    if (createdAfter) filters.created_after = createdAfter;
+    if (includeGeojson) filters.include_geojson = true;
+
+    const wards = [];
+    for (let offset = 0; ; offset += WARD_PAGE_SIZE) {
+      const page = await this.getWardsPage({ ...filters, offset });
+      wards.push(...page);
+      if (page.length < WARD_PAGE_SIZE) break;
+    }
+
+    return wards;
+  }
+
+  async getWardsForMunicipality(municipalityId, includeGeojson = true) {
+    return this.getWards({ municipalityId, includeGeojson });
+  }
+}
+
+export default new WardService();
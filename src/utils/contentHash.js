@@ -0,0 +1,14 @@
+/**
+ * Fast non-cryptographic hash (FNV-1a, 32-bit) used to tell whether a
+ * downloaded dataset differs from the cached copy
+ * @param {string} text - Content to hash
+ * @returns {string} 8-character hex digest
+ */
+export const hashString = (text = '') => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
@@ -1,22 +1,32 @@
+import { createSpatialIndex, searchSpatialIndex, isSpatialIndexFor } from './spatialIndex';
+import { simplifyTopology } from './topologySimplify';
+
 /**
- * Checks if a point is inside a polygon using ray casting algorithm
+ * Checks if a point is inside a polygon using ray casting algorithm.
+ * Interior rings (holes) are honoured with the even-odd rule.
  * @param {Object} point - {latitude, longitude}
- * @param {Array} polygon - Array of [longitude, latitude] coordinates
+ * @param {Array} polygon - Array of [longitude, latitude] coordinates, or an array of
+ *   such rings where the first is the exterior and the rest are holes
  * @returns {boolean}
  */
 export const isPointInPolygon = (point, polygon) => {
   try {
-    if (!point || !polygon || polygon.length < 3) return false;
+    if (!point || !polygon) return false;
     
+    const rings = Array.isArray(polygon[0]?.[0]) ? polygon : [polygon];
     const { latitude: lat, longitude: lng } = point;
     let inside = false;
     
-    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-      const xi = polygon[i][0], yi = polygon[i][1];
-      const xj = polygon[j][0], yj = polygon[j][1];
-      
-      if (((yi > lat) !== (yj > lat)) && (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
-        inside = !inside;
+    for (const ring of rings) {
+      if (!ring || ring.length < 3) continue;
+
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const xi = ring[i][0], yi = ring[i][1];
+        const xj = ring[j][0], yj = ring[j][1];
+        
+        if (((yi > lat) !== (yj > lat)) && (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
+          inside = !inside;
+        }
       }
     }
     
@@ -27,41 +37,499 @@ export const isPointInPolygon = (point, polygon) => {
   }
 };
 
+/**
+ * Converts a GeoJSON ring to react-native-maps coordinates
+ * @param {Array} ring - Array of [longitude, latitude] coordinates
+ * @returns {Array} Array of {latitude, longitude}
+ */
+const toLatLngRing = (ring) => ring.map(coord => ({
+  latitude: coord[1],
+  longitude: coord[0],
+}));
+
+/**
+ * Returns the polygons of a Polygon or MultiPolygon feature as arrays of rings
+ * @param {Object} feature - GeoJSON feature
+ * @returns {Array} Array of polygons, each an array of rings
+ */
+export const getFeaturePolygons = (feature) => {
+  const geometry = feature?.geometry;
+  if (!geometry?.coordinates) return [];
+
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+};
+
+/**
+ * Calculates the bounding box of a list of polygons
+ * @param {Array} polygons - Array of polygons, each an array of rings
+ * @returns {Array|null} [minLng, minLat, maxLng, maxLat] or null if there are no coordinates
+ */
+const getPolygonsBBox = (polygons) => {
+  let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity;
+
+  polygons.forEach(polygon => {
+    (polygon || []).forEach(ring => {
+      (ring || []).forEach(([lng, lat]) => {
+        if (lng < minLng) minLng = lng;
+        if (lat < minLat) minLat = lat;
+        if (lng > maxLng) maxLng = lng;
+        if (lat > maxLat) maxLat = lat;
+      });
+    });
+  });
+
+  return minLng <= maxLng && minLat <= maxLat ? [minLng, minLat, maxLng, maxLat] : null;
+};
+
+/**
+ * Calculates the bounding box of a Polygon or MultiPolygon feature.
+ * A precomputed `bbox` member (see addFeatureBBoxes) is returned as-is.
+ * @param {Object} feature - GeoJSON feature
+ * @returns {Array|null} [minLng, minLat, maxLng, maxLat] or null if the feature has no coordinates
+ */
+export const getFeatureBBox = (feature) => {
+  try {
+    if (Array.isArray(feature?.bbox) && feature.bbox.length === 4) return feature.bbox;
+    return getPolygonsBBox(getFeaturePolygons(feature));
+  } catch (error) {
+    console.warn('Error in getFeatureBBox:', error);
+    return null;
+  }
+};
+
+/**
+ * Stores a freshly computed `bbox` on every feature so viewport checks don't rescan coordinates
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @returns {Object} GeoJSON with feature bounding boxes
+ */
+export const addFeatureBBoxes = (geojson) => {
+  try {
+    if (!geojson?.features) return geojson;
+
+    return {
+      ...geojson,
+      features: geojson.features.map(({ bbox, ...feature }) => {
+        const featureBBox = getFeatureBBox(feature);
+        return featureBBox ? { ...feature, bbox: featureBBox } : feature;
+      }),
+    };
+  } catch (error) {
+    console.warn('Error in addFeatureBBoxes:', error);
+    return geojson;
+  }
+};
+
+/**
+ * Checks whether two bounding boxes overlap
+ * @param {Array} a - [minLng, minLat, maxLng, maxLat]
+ * @param {Array} b - [minLng, minLat, maxLng, maxLat]
+ * @returns {boolean}
+ */
+export const bboxesIntersect = (a, b) => {
+  if (!a || !b) return false;
+  return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+};
+
+/**
+ * Converts map bounds to a bounding box
+ * @param {Object} bounds - {northEast, southWest}
+ * @returns {Array|null} [minLng, minLat, maxLng, maxLat]
+ */
+export const boundsToBBox = (bounds) => {
+  if (!bounds?.northEast || !bounds?.southWest) return null;
+  return [
+    bounds.southWest.longitude,
+    bounds.southWest.latitude,
+    bounds.northEast.longitude,
+    bounds.northEast.latitude,
+  ];
+};
+
+/**
+ * Checks whether a line segment crosses a rectangle (Liang-Barsky clipping)
+ * @param {Array} a - [lng, lat] segment start
+ * @param {Array} b - [lng, lat] segment end
+ * @param {Array} rect - [minLng, minLat, maxLng, maxLat]
+ * @returns {boolean}
+ */
+const segmentIntersectsRect = (a, b, rect) => {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const p = [-dx, dx, -dy, dy];
+  const q = [a[0] - rect[0], rect[2] - a[0], a[1] - rect[1], rect[3] - a[1]];
+  let t0 = 0;
+  let t1 = 1;
+
+  for (let i = 0; i < 4; i++) {
+    if (p[i] === 0) {
+      if (q[i] < 0) return false;
+    } else {
+      const t = q[i] / p[i];
+      if (p[i] < 0) {
+        if (t > t1) return false;
+        if (t > t0) t0 = t;
+      } else {
+        if (t < t0) return false;
+        if (t < t1) t1 = t;
+      }
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Checks whether a polygon (with holes) and a rectangle share any area or boundary
+ * @param {Array} polygon - Array of rings, the first being the exterior
+ * @param {Array} rect - [minLng, minLat, maxLng, maxLat]
+ * @returns {boolean}
+ */
+export const polygonIntersectsBBox = (polygon, rect) => {
+  try {
+    if (!polygon?.[0] || !rect) return false;
+    if (!bboxesIntersect(getPolygonsBBox([polygon]), rect)) return false;
+
+    // An edge of any ring touching the rectangle covers vertices inside it and boundary crossings
+    for (const ring of polygon) {
+      if (!ring || ring.length < 2) continue;
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        if (segmentIntersectsRect(ring[j], ring[i], rect)) return true;
+      }
+    }
+
+    // No boundary inside the rectangle: either it lies within the polygon or they are disjoint
+    const corner = { latitude: rect[1], longitude: rect[0] };
+    return isPointInPolygon(corner, polygon);
+  } catch (error) {
+    console.warn('Error in polygonIntersectsBBox:', error);
+    return false;
+  }
+};
+
+/**
+ * Checks whether any part of a Polygon or MultiPolygon feature overlaps a rectangle
+ * @param {Object} feature - GeoJSON feature
+ * @param {Array} rect - [minLng, minLat, maxLng, maxLat]
+ * @returns {boolean}
+ */
+export const featureIntersectsBBox = (feature, rect) => {
+  if (!bboxesIntersect(getFeatureBBox(feature), rect)) return false;
+  return getFeaturePolygons(feature).some(polygon => polygonIntersectsBBox(polygon, rect));
+};
+
+/**
+ * Reads the ward identifier from a feature normalised by applyWardSchema
+ * @param {Object} feature - GeoJSON feature
+ * @returns {string|number|undefined}
+ */
+export const getFeatureWardId = (feature) => {
+  return feature?.properties?.id;
+};
+
+/**
+ * Reads the canonical ward fields of a feature normalised by applyWardSchema
+ * @param {Object} feature - GeoJSON feature
+ * @returns {Object|null} {id, name, municipality, municipalityId, municipalityCode, province, properties}
+ */
+export const getFeatureWardInfo = (feature) => {
+  if (!feature) return null;
+
+  const properties = feature.properties || {};
+
+  return {
+    id: getFeatureWardId(feature),
+    name: properties.name,
+    municipality: properties.municipality,
+    municipalityId: properties.municipalityId,
+    municipalityCode: properties.municipalityCode,
+    province: properties.province,
+    properties: feature.properties,
+  };
+};
+
+/**
+ * Builds a spatial index over the bounding boxes of all features
+ * @param {Object} geoJsonData - GeoJSON FeatureCollection
+ * @returns {Object|null} Spatial index keyed by feature position
+ */
+export const buildFeatureIndex = (geoJsonData) => {
+  if (!geoJsonData?.features?.length) return null;
+  return createSpatialIndex(geoJsonData.features.map(getFeatureBBox));
+};
+
+/**
+ * Checks whether a point falls inside a single Polygon or MultiPolygon feature
+ * @param {Object} point - {latitude, longitude}
+ * @param {Object} feature - GeoJSON feature
+ * @returns {boolean}
+ */
+const isPointInFeature = (point, feature) => {
+  if (!feature?.geometry) return false;
+
+  if (feature.geometry.type === 'Polygon') {
+    return isPointInPolygon(point, feature.geometry.coordinates);
+  }
+
+  if (feature.geometry.type === 'MultiPolygon') {
+    return feature.geometry.coordinates.some(polygon => isPointInPolygon(point, polygon));
+  }
+
+  return false;
+};
+
 /**
  * Finds which ward a point belongs to
  * @param {Object} point - {latitude, longitude}
  * @param {Object} geoJsonData - GeoJSON data with ward polygons
+ * @param {Object} spatialIndex - Optional index from buildFeatureIndex for the same data
  * @returns {Object|null} Ward feature or null if not found
  */
-export const findWardForPoint = (point, geoJsonData) => {
+export const findWardForPoint = (point, geoJsonData, spatialIndex = null) => {
   try {
     if (!geoJsonData?.features || !point) return null;
-    
-    for (const feature of geoJsonData.features) {
-      if (!feature.geometry) continue;
-      
-      if (feature.geometry.type === 'Polygon') {
-        const coordinates = feature.geometry.coordinates[0];
-        if (coordinates && isPointInPolygon(point, coordinates)) {
-          return feature;
-        }
-      } else if (feature.geometry.type === 'MultiPolygon') {
-        for (const polygon of feature.geometry.coordinates) {
-          const coordinates = polygon[0];
-          if (coordinates && isPointInPolygon(point, coordinates)) {
-            return feature;
-          }
-        }
-      }
+
+    const { features } = geoJsonData;
+
+    // Only test the polygons whose bounding box contains the point
+    if (isSpatialIndexFor(spatialIndex, features.length)) {
+      const { latitude, longitude } = point;
+      const candidates = searchSpatialIndex(spatialIndex, [longitude, latitude, longitude, latitude]);
+      const match = candidates.find(position => isPointInFeature(point, features[position]));
+      return match !== undefined ? features[match] : null;
     }
-    
-    return null;
+
+    return features.find(feature => isPointInFeature(point, feature)) || null;
   } catch (error) {
     console.warn('Error in findWardForPoint:', error);
     return null;
   }
 };
 
+// Roughly how many points are tested when a geometry is matched to wards
+const GEOMETRY_SAMPLE_COUNT = 100;
+
+/**
+ * Spreads sample points evenly along a line, including every vertex
+ * @param {Array} coordinates - Array of [longitude, latitude]
+ * @returns {Array} Array of {latitude, longitude}
+ */
+const sampleLine = (coordinates) => {
+  const lengths = coordinates.slice(1).map((coord, i) => (
+    Math.hypot(coord[0] - coordinates[i][0], coord[1] - coordinates[i][1])
+  ));
+  const total = lengths.reduce((sum, length) => sum + length, 0);
+  const step = total / GEOMETRY_SAMPLE_COUNT;
+
+  const samples = [];
+  coordinates.forEach((coord, i) => {
+    samples.push({ latitude: coord[1], longitude: coord[0] });
+    if (i === coordinates.length - 1 || !step) return;
+
+    const next = coordinates[i + 1];
+    const steps = Math.floor(lengths[i] / step);
+    for (let s = 1; s < steps; s++) {
+      const t = s / steps;
+      samples.push({
+        latitude: coord[1] + (next[1] - coord[1]) * t,
+        longitude: coord[0] + (next[0] - coord[0]) * t,
+      });
+    }
+  });
+  return samples;
+};
+
+/**
+ * Lays a grid over a polygon and keeps the points that fall inside it.
+ * Polygons too small to catch a grid point are sampled at their vertices.
+ * @param {Array} rings - Polygon rings of [longitude, latitude]
+ * @returns {Array} Array of {latitude, longitude}
+ */
+const samplePolygon = (rings) => {
+  const [minLng, minLat, maxLng, maxLat] = getPolygonsBBox([rings]);
+  const cells = Math.ceil(Math.sqrt(GEOMETRY_SAMPLE_COUNT));
+  const lngStep = (maxLng - minLng) / cells;
+  const latStep = (maxLat - minLat) / cells;
+
+  const samples = [];
+  for (let row = 0; row < cells; row++) {
+    for (let col = 0; col < cells; col++) {
+      const point = {
+        latitude: minLat + latStep * (row + 0.5),
+        longitude: minLng + lngStep * (col + 0.5),
+      };
+      if (isPointInPolygon(point, rings)) samples.push(point);
+    }
+  }
+
+  if (samples.length > 0) return samples;
+  return rings[0].map(([longitude, latitude]) => ({ latitude, longitude }));
+};
+
+/**
+ * Finds the ward that a line or area report mostly falls in, by sampling
+ * the geometry and counting which ward each sample lands in
+ * @param {Object} geometry - GeoJSON Point, LineString or Polygon
+ * @param {Object} geoJsonData - GeoJSON data with ward polygons
+ * @param {Object} spatialIndex - Optional index from buildFeatureIndex for the same data
+ * @returns {Object|null} Ward feature with the largest overlap, or null if none overlap
+ */
+export const findWardForGeometry = (geometry, geoJsonData, spatialIndex = null) => {
+  try {
+    if (!geometry?.coordinates || !geoJsonData?.features) return null;
+
+    let samples;
+    if (geometry.type === 'Point') {
+      const [longitude, latitude] = geometry.coordinates;
+      samples = [{ latitude, longitude }];
+    } else if (geometry.type === 'LineString') {
+      samples = sampleLine(geometry.coordinates);
+    } else if (geometry.type === 'Polygon') {
+      samples = samplePolygon(geometry.coordinates);
+    } else {
+      return null;
+    }
+
+    const counts = new Map();
+    samples.forEach(point => {
+      const ward = findWardForPoint(point, geoJsonData, spatialIndex);
+      if (ward) counts.set(ward, (counts.get(ward) || 0) + 1);
+    });
+
+    let best = null;
+    let bestCount = 0;
+    counts.forEach((count, ward) => {
+      if (count > bestCount) {
+        best = ward;
+        bestCount = count;
+      }
+    });
+    return best;
+  } catch (error) {
+    console.warn('Error in findWardForGeometry:', error);
+    return null;
+  }
+};
+
+// How far outside every ward a point may be and still be given the nearest one
+export const WARD_FALLBACK_DISTANCE = 250;
+
+const METRES_PER_DEGREE = 111320;
+
+/**
+ * Distance from a point to the nearest edge of a feature, measured on a local
+ * flat projection around the point (accurate to well under a metre at ward scale)
+ * @param {Object} point - {latitude, longitude}
+ * @param {Object} feature - Polygon or MultiPolygon feature
+ * @returns {number} Distance in metres, Infinity if the feature has no edges
+ */
+export const getDistanceToFeatureBoundary = (point, feature) => {
+  const scaleX = METRES_PER_DEGREE * Math.cos(point.latitude * Math.PI / 180);
+  const toLocal = ([lng, lat]) => [
+    (lng - point.longitude) * scaleX,
+    (lat - point.latitude) * METRES_PER_DEGREE,
+  ];
+
+  let best = Infinity;
+  getFeaturePolygons(feature).forEach(polygon => {
+    polygon.forEach(ring => {
+      for (let i = 1; i < (ring || []).length; i++) {
+        const [ax, ay] = toLocal(ring[i - 1]);
+        const [bx, by] = toLocal(ring[i]);
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSq = dx * dx + dy * dy;
+        // Closest point on the segment to the origin (the query point)
+        const t = lengthSq ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 0;
+        const distance = Math.hypot(ax + dx * t, ay + dy * t);
+        if (distance < best) best = distance;
+      }
+    });
+  });
+  return best;
+};
+
+/**
+ * Lists the wards that contain a point or whose boundary lies within a distance of it.
+ * The containing ward (if any) comes first, then the rest from nearest to furthest.
+ * @param {Object} point - {latitude, longitude}
+ * @param {Object} geoJsonData - GeoJSON data with ward polygons
+ * @param {Object} spatialIndex - Optional index from buildFeatureIndex for the same data
+ * @param {number} maxDistance - Search radius in metres
+ * @returns {Array} Array of {feature, inside, distance} with distance to the boundary in metres
+ */
+export const findNearbyWards = (point, geoJsonData, spatialIndex = null, maxDistance = WARD_FALLBACK_DISTANCE) => {
+  try {
+    if (!geoJsonData?.features || !point) return [];
+
+    const { features } = geoJsonData;
+    const { latitude, longitude } = point;
+    const latPad = maxDistance / METRES_PER_DEGREE;
+    const lngPad = latPad / Math.cos(latitude * Math.PI / 180);
+    const searchBBox = [longitude - lngPad, latitude - latPad, longitude + lngPad, latitude + latPad];
+
+    const candidates = isSpatialIndexFor(spatialIndex, features.length)
+      ? searchSpatialIndex(spatialIndex, searchBBox).map(position => features[position])
+      : features.filter(feature => {
+        const bbox = getFeatureBBox(feature);
+        return bbox && bboxesIntersect(bbox, searchBBox);
+      });
+
+    return candidates
+      .map(feature => ({
+        feature,
+        inside: isPointInFeature(point, feature),
+        distance: getDistanceToFeatureBoundary(point, feature),
+      }))
+      .filter(candidate => candidate.inside || candidate.distance <= maxDistance)
+      .sort((a, b) => (b.inside - a.inside) || (a.distance - b.distance));
+  } catch (error) {
+    console.warn('Error in findNearbyWards:', error);
+    return [];
+  }
+};
+
+/**
+ * Finds the province, municipality and ward containing a point. Levels whose
+ * layer isn't loaded are filled from the canonical fields of the finer levels.
+ * A municipality filled from a ward only has an `id` when the ward links to a
+ * backend municipality; the dataset's own code is kept in `code`.
+ * @param {Object} point - {latitude, longitude}
+ * @param {Object} layers - {province, municipality, ward}, each {geoJsonData, spatialIndex}
+ * @param {Object} knownWard - Ward info already resolved by the caller, skipping the ward lookup
+ * @returns {Object} {province, municipality, ward}, each a boundary info object or null
+ */
+export const findBoundaryHierarchy = (point, layers = {}, knownWard = null) => {
+  const lookup = (layerId) => {
+    const layer = layers[layerId];
+    if (!layer?.geoJsonData) return null;
+    return findWardForPoint(point, layer.geoJsonData, layer.spatialIndex);
+  };
+
+  const ward = knownWard || getFeatureWardInfo(
+    lookup('ward') || findNearbyWards(point, layers.ward?.geoJsonData, layers.ward?.spatialIndex)[0]?.feature
+  );
+
+  let municipality = getFeatureWardInfo(lookup('municipality'));
+  if (!municipality && ward?.municipality) {
+    municipality = {
+      id: ward.municipalityId || null,
+      code: ward.municipalityCode || null,
+      name: ward.municipality,
+      province: ward.province,
+    };
+  }
+
+  let province = getFeatureWardInfo(lookup('province'));
+  const provinceName = municipality?.province || ward?.province;
+  if (!province && provinceName) {
+    province = { id: provinceName, name: provinceName };
+  }
+
+  return { province, municipality, ward };
+};
+
 /**
  * Renders GeoJSON polygons as React Native Maps Polygon components
  * @param {Object} geoJsonData - GeoJSON data
@@ -86,17 +554,13 @@ export const renderGeoJSONPolygons = (geoJsonData, options = {}) => {
         if (!feature.geometry) return;
         
         if (feature.geometry.type === 'Polygon') {
-          const coordinates = feature.geometry.coordinates[0];
+          const [coordinates, ...holes] = feature.geometry.coordinates;
           if (!coordinates || coordinates.length < 3) return;
           
-          const mappedCoordinates = coordinates.map(coord => ({
-            latitude: coord[1],
-            longitude: coord[0],
-          }));
-          
           polygons.push({
-            id: feature.properties?.id || feature.properties?.WARD_ID || `polygon-${index}`,
-            coordinates: mappedCoordinates,
+            id: getFeatureWardId(feature) || `polygon-${index}`,
+            coordinates: toLatLngRing(coordinates),
+            holes: holes.filter(hole => hole?.length >= 3).map(toLatLngRing),
             strokeColor,
             fillColor,
             strokeWidth,
@@ -105,17 +569,13 @@ export const renderGeoJSONPolygons = (geoJsonData, options = {}) => {
           });
         } else if (feature.geometry.type === 'MultiPolygon') {
           feature.geometry.coordinates.forEach((polygon, polyIndex) => {
-            const coordinates = polygon[0];
+            const [coordinates, ...holes] = polygon;
             if (!coordinates || coordinates.length < 3) return;
             
-            const mappedCoordinates = coordinates.map(coord => ({
-              latitude: coord[1],
-              longitude: coord[0],
-            }));
-            
             polygons.push({
-              id: feature.properties?.id || feature.properties?.WARD_ID || `multipolygon-${index}-${polyIndex}`,
-              coordinates: mappedCoordinates,
+              id: getFeatureWardId(feature) || `multipolygon-${index}-${polyIndex}`,
+              coordinates: toLatLngRing(coordinates),
+              holes: holes.filter(hole => hole?.length >= 3).map(toLatLngRing),
               strokeColor,
               fillColor,
               strokeWidth,
@@ -140,9 +600,20 @@ export const renderGeoJSONPolygons = (geoJsonData, options = {}) => {
  * Simplifies GeoJSON polygons to reduce rendering complexity
  * @param {Object} geojson - The GeoJSON object
  * @param {number} tolerance - Simplification tolerance (higher = more simplified)
+ * @param {Object} options - {preserveTopology: simplify shared borders once so neighbours stay watertight}
  * @returns {Object} Simplified GeoJSON
  */
-export const simplifyGeoJSON = (geojson, tolerance = 0.005) => {
+export const simplifyGeoJSON = (geojson, tolerance = 0.005, options = {}) => {
+  const { preserveTopology = true } = options;
+
+  if (preserveTopology) {
+    try {
+      return simplifyTopology(geojson, tolerance);
+    } catch (error) {
+      console.warn('Topology-preserving simplification failed, simplifying per feature:', error);
+    }
+  }
+
   try {
     // Import simplify-geojson dynamically to handle potential issues
     const simplify = require('simplify-geojson');
@@ -153,6 +624,97 @@ export const simplifyGeoJSON = (geojson, tolerance = 0.005) => {
   }
 };
 
+/**
+ * Converts a map region to a bounding box
+ * @param {Object} region - {latitude, longitude, latitudeDelta, longitudeDelta}
+ * @returns {Array|null} [minLng, minLat, maxLng, maxLat]
+ */
+export const regionToBBox = (region) => {
+  if (!region?.latitudeDelta || !region?.longitudeDelta) return null;
+  return [
+    region.longitude - region.longitudeDelta / 2,
+    region.latitude - region.latitudeDelta / 2,
+    region.longitude + region.longitudeDelta / 2,
+    region.latitude + region.latitudeDelta / 2,
+  ];
+};
+
+/**
+ * Scores how prominent a feature is in the viewport, from its on-screen size and visible share
+ * @param {Object} feature - GeoJSON feature
+ * @param {Array} rect - Viewport [minLng, minLat, maxLng, maxLat]
+ * @returns {number} 0 when off screen, up to 1 for a ward that fills the screen
+ */
+export const getViewportPriority = (feature, rect) => {
+  const bbox = getFeatureBBox(feature);
+  if (!bbox || !rect) return 0;
+
+  const overlapWidth = Math.min(bbox[2], rect[2]) - Math.max(bbox[0], rect[0]);
+  const overlapHeight = Math.min(bbox[3], rect[3]) - Math.max(bbox[1], rect[1]);
+  if (overlapWidth <= 0 || overlapHeight <= 0) return 0;
+
+  const overlapArea = overlapWidth * overlapHeight;
+  const viewportArea = (rect[2] - rect[0]) * (rect[3] - rect[1]);
+  const featureArea = (bbox[2] - bbox[0]) * (bbox[3] - bbox[1]) || overlapArea;
+
+  const screenShare = overlapArea / viewportArea;
+  const visibleShare = overlapArea / featureArea;
+  return screenShare * (0.5 + 0.5 * visibleShare);
+};
+
+/**
+ * Picks the features to render within a budget, most prominent first
+ * @param {Array} features - GeoJSON features
+ * @param {Array} rect - Viewport [minLng, minLat, maxLng, maxLat]
+ * @param {number} budget - Maximum number of features to keep
+ * @param {Array} pinnedIds - Ward ids that are always kept (e.g. home and selected ward)
+ * @returns {Object} {features, hiddenCount}
+ */
+export const prioritizeFeatures = (features, rect, budget, pinnedIds = []) => {
+  try {
+    if (!features?.length) return { features: [], hiddenCount: 0 };
+
+    // Profiles store ward ids as text while datasets may use numbers
+    const pinnedKeys = pinnedIds.map(String);
+    const pinned = [];
+    const ranked = [];
+
+    features.forEach(feature => {
+      const wardId = getFeatureWardId(feature);
+      if (wardId !== undefined && pinnedKeys.includes(String(wardId))) {
+        pinned.push(feature);
+      } else {
+        const priority = getViewportPriority(feature, rect);
+        if (priority > 0 || !rect) ranked.push({ feature, priority });
+      }
+    });
+
+    ranked.sort((a, b) => b.priority - a.priority);
+    const kept = ranked.slice(0, Math.max(0, budget - pinned.length)).map(({ feature }) => feature);
+
+    return {
+      features: [...pinned, ...kept],
+      hiddenCount: ranked.length - kept.length,
+    };
+  } catch (error) {
+    console.warn('Error in prioritizeFeatures:', error);
+    return { features: features.slice(0, budget), hiddenCount: Math.max(0, features.length - budget) };
+  }
+};
+
+/**
+ * Picks the simplification tolerance to render at for the current zoom
+ * @param {number} latitudeDelta - Current map latitudeDelta
+ * @param {Array} levels - Array of {tolerance, maxLatitudeDelta}, finest first
+ * @returns {number|null} Tolerance of the first level that covers the zoom
+ */
+export const getToleranceForZoom = (latitudeDelta, levels) => {
+  if (!latitudeDelta || !levels?.length) return null;
+
+  const level = levels.find(({ maxLatitudeDelta }) => latitudeDelta <= maxLatitudeDelta);
+  return (level || levels[levels.length - 1]).tolerance;
+};
+
 /**
  * Checks if a point is within the current map bounds
  * @param {Object} point - {latitude, longitude}
@@ -179,27 +741,24 @@ export const isPointInBounds = (point, bounds) => {
  * Filters GeoJSON features based on map bounds
  * @param {Object} geojson - The GeoJSON object
  * @param {Object} bounds - Map bounds
+ * @param {Object} spatialIndex - Optional index from buildFeatureIndex for the same data
  * @returns {Object} Filtered GeoJSON
  */
-export const filterGeoJSONByBounds = (geojson, bounds) => {
+export const filterGeoJSONByBounds = (geojson, bounds, spatialIndex = null) => {
   try {
-    if (!bounds || !geojson?.features) return geojson;
+    const rect = boundsToBBox(bounds);
+    if (!rect || !geojson?.features) return geojson;
 
-    const filteredFeatures = geojson.features.filter(feature => {
-      try {
-        if (!feature.geometry?.coordinates) return false;
+    const { features } = geojson;
 
-        // For polygons, check if any coordinate is within bounds
-        let coordinates = [];
-        if (feature.geometry.type === 'Polygon') {
-          coordinates = feature.geometry.coordinates[0] || [];
-        } else if (feature.geometry.type === 'MultiPolygon') {
-          coordinates = feature.geometry.coordinates[0]?.[0] || [];
-        }
-        
-        return coordinates.some(coord => 
-          isPointInBounds({ latitude: coord[1], longitude: coord[0] }, bounds)
-        );
+    // Narrow down to bounding box matches before testing the actual shapes
+    const candidates = isSpatialIndexFor(spatialIndex, features.length)
+      ? searchSpatialIndex(spatialIndex, rect).map(position => features[position])
+      : features;
+
+    const filteredFeatures = candidates.filter(feature => {
+      try {
+        return featureIntersectsBBox(feature, rect);
       } catch (featureError) {
         console.warn('Error filtering feature:', featureError);
         return false;
@@ -0,0 +1,299 @@
+/**
+ * Validation and repair of boundary polygons before they are simplified.
+ *
+ * Boundary files regularly arrive with unclosed rings, inconsistent winding,
+ * repeated vertices or latitude and longitude swapped. Each feature is
+ * repaired where that is safe and rejected where it isn't, and everything
+ * done is listed in a report (see WardDataDebugScreen).
+ */
+
+// [minLng, minLat, maxLng, maxLat] of South Africa with a small margin;
+// the Prince Edward Islands fall outside and are only flagged
+export const SOUTH_AFRICA_EXTENT = [16, -35.5, 33.5, -22];
+
+// Bump when repairGeoJSON's output changes so cached datasets are rebuilt
+export const GEOMETRY_REPAIR_VERSION = 1;
+
+// Keep the debug report small enough to cache with the dataset
+const MAX_REPORTED_ISSUES = 50;
+
+// Rings smaller than this (in square degrees, ~0.01 m²) are treated as having no area
+const MIN_RING_AREA = 1e-12;
+
+// Segment pairs tested per ring before the self-intersection check gives up
+const MAX_INTERSECTION_TESTS = 200000;
+
+const isValidPosition = (position) => (
+  Array.isArray(position) && position.length >= 2
+    && Number.isFinite(position[0]) && Number.isFinite(position[1])
+);
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+/**
+ * Signed area of a closed ring (shoelace); positive when counterclockwise
+ * @param {Array} ring - Closed array of [lng, lat]
+ * @returns {number}
+ */
+const getSignedArea = (ring) => {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return area / 2;
+};
+
+const orientation = (a, b, c) => {
+  const value = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  return value > 0 ? 1 : value < 0 ? -1 : 0;
+};
+
+const segmentsCross = (a, b, c, d) => (
+  orientation(a, b, c) * orientation(a, b, d) < 0 && orientation(c, d, a) * orientation(c, d, b) < 0
+);
+
+/**
+ * Whether two non-adjacent edges of a ring cross. Edges are swept in order of
+ * their western end so only edges that overlap in longitude are compared.
+ * @param {Array} ring - Closed array of [lng, lat]
+ * @returns {boolean|null} Null if the ring was too large to check
+ */
+const ringSelfIntersects = (ring) => {
+  const edgeCount = ring.length - 1;
+  const edges = [];
+  for (let i = 0; i < edgeCount; i++) {
+    const a = ring[i];
+    const b = ring[i + 1];
+    edges.push({ i, a, b, minX: Math.min(a[0], b[0]), maxX: Math.max(a[0], b[0]) });
+  }
+  edges.sort((first, second) => first.minX - second.minX);
+
+  let tests = 0;
+  for (let m = 0; m < edges.length; m++) {
+    const edge = edges[m];
+    for (let n = m + 1; n < edges.length && edges[n].minX <= edge.maxX; n++) {
+      const other = edges[n];
+      const gap = Math.abs(edge.i - other.i);
+      // Neighbouring edges share a vertex, including the last and first
+      if (gap === 1 || gap === edgeCount - 1) continue;
+      if (++tests > MAX_INTERSECTION_TESTS) return null;
+      if (segmentsCross(edge.a, edge.b, other.a, other.b)) return true;
+    }
+  }
+
+  return false;
+};
+
+const getPositionsBBox = (positions) => {
+  if (positions.length === 0) return null;
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  positions.forEach(([x, y]) => {
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  });
+  return [minX, minY, maxX, maxY];
+};
+
+const bboxWithin = (bbox, extent) => (
+  bbox[0] >= extent[0] && bbox[1] >= extent[1] && bbox[2] <= extent[2] && bbox[3] <= extent[3]
+);
+
+const createFixStats = () => ({
+  droppedPositions: 0,
+  removedDuplicateVertices: 0,
+  closedRings: 0,
+  reversedRings: 0,
+  droppedRings: 0,
+  swappedFeatures: 0,
+});
+
+/**
+ * Validates and repairs the polygons of a boundary FeatureCollection:
+ * drops invalid positions and repeated vertices, closes rings, makes outer
+ * rings counterclockwise and holes clockwise (RFC 7946), drops rings with
+ * no area, swaps coordinates that only fit `extent` as [lat, lng], and flags
+ * self-intersecting rings. Features left without a usable polygon, or
+ * without a Polygon/MultiPolygon geometry at all, are rejected.
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @param {Object} options
+ * @param {Array} options.extent - Expected [minLng, minLat, maxLng, maxLat], or null to skip the check
+ * @param {boolean} options.checkSelfIntersections - Flag rings whose edges cross
+ * @returns {Object} {geojson, report}
+ */
+export const repairGeoJSON = (geojson, options = {}) => {
+  const { extent = SOUTH_AFRICA_EXTENT, checkSelfIntersections = true } = options;
+  const features = geojson?.features || [];
+
+  const report = {
+    total: features.length,
+    valid: 0,
+    repaired: 0,
+    rejected: 0,
+    flagged: 0,
+    fixes: createFixStats(),
+    issueCount: 0,
+    issues: [],
+    checkedAt: Date.now(),
+  };
+
+  const repaired = [];
+  features.forEach((feature, featureIndex) => {
+    const id = feature?.properties?.id ?? null;
+    const fixes = createFixStats();
+    let flagged = false;
+
+    const addIssue = (action, type, message) => {
+      report.issueCount++;
+      if (report.issues.length < MAX_REPORTED_ISSUES) {
+        report.issues.push({ featureIndex, id, action, type, message });
+      }
+    };
+
+    const reject = (type, message) => {
+      report.rejected++;
+      addIssue('rejected', type, message);
+    };
+
+    const geometry = feature?.geometry;
+    if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) {
+      reject('geometry-type', `Expected a Polygon or MultiPolygon, got ${geometry?.type || 'no geometry'}`);
+      return;
+    }
+
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    if (!Array.isArray(polygons) || !polygons.every(Array.isArray)) {
+      reject('coordinates', 'Coordinates are not nested arrays of rings');
+      return;
+    }
+
+    // Lat/lng swaps are judged on the whole feature, before any ring is rebuilt
+    let swap = false;
+    if (extent) {
+      const bbox = getPositionsBBox(polygons.flat(2).filter(isValidPosition));
+      if (bbox && !bboxWithin(bbox, extent)) {
+        if (bboxWithin([bbox[1], bbox[0], bbox[3], bbox[2]], extent)) {
+          swap = true;
+          fixes.swappedFeatures++;
+          addIssue('fixed', 'swapped-coordinates', 'Coordinates were [lat, lng]; swapped to [lng, lat]');
+        } else {
+          flagged = true;
+          addIssue('flagged', 'outside-extent', `Bounds ${bbox.map(value => value.toFixed(3)).join(', ')} fall outside the expected area`);
+        }
+      }
+    }
+
+    /**
+     * Rebuilds one ring; returns null if nothing with an area is left
+     * @param {Array} ring - Array of positions
+     * @param {boolean} outer - Outer rings wind counterclockwise, holes clockwise
+     */
+    const repairRing = (ring, outer) => {
+      if (!Array.isArray(ring)) return null;
+
+      const positions = [];
+      ring.forEach(position => {
+        if (!isValidPosition(position)) {
+          fixes.droppedPositions++;
+          return;
+        }
+        const point = swap ? [position[1], position[0], ...position.slice(2)] : position;
+        if (positions.length > 0 && samePosition(positions[positions.length - 1], point)) {
+          fixes.removedDuplicateVertices++;
+          return;
+        }
+        positions.push(point);
+      });
+
+      // An explicit closing vertex is the only repeat a ring may have
+      if (positions.length > 1 && samePosition(positions[0], positions[positions.length - 1])) {
+        positions.pop();
+      } else if (positions.length >= 3) {
+        fixes.closedRings++;
+      }
+
+      if (positions.length < 3) return null;
+      positions.push(positions[0]);
+
+      const area = getSignedArea(positions);
+      if (Math.abs(area) < MIN_RING_AREA) return null;
+      if ((area > 0) !== outer) {
+        positions.reverse();
+        fixes.reversedRings++;
+      }
+
+      if (checkSelfIntersections && ringSelfIntersects(positions)) {
+        flagged = true;
+        addIssue('flagged', 'self-intersection', `${outer ? 'Outer ring' : 'Hole'} crosses itself`);
+      }
+
+      return positions;
+    };
+
+    const repairedPolygons = [];
+    polygons.forEach((rings, polygonIndex) => {
+      const [outerRing, ...holes] = rings;
+      const outer = repairRing(outerRing, true);
+      if (!outer) {
+        fixes.droppedRings += rings.length;
+        addIssue('fixed', 'degenerate-ring', `Dropped polygon ${polygonIndex}; its outer ring has no area`);
+        return;
+      }
+
+      const keptHoles = [];
+      holes.forEach((hole, holeIndex) => {
+        const repairedHole = repairRing(hole, false);
+        if (repairedHole) {
+          keptHoles.push(repairedHole);
+        } else {
+          fixes.droppedRings++;
+          addIssue('fixed', 'degenerate-ring', `Dropped hole ${holeIndex} of polygon ${polygonIndex}; it has no area`);
+        }
+      });
+
+      repairedPolygons.push([outer, ...keptHoles]);
+    });
+
+    if (repairedPolygons.length === 0) {
+      reject('degenerate-geometry', 'No polygon with an area is left');
+      return;
+    }
+
+    Object.keys(fixes).forEach(key => {
+      report.fixes[key] += fixes[key];
+    });
+    if (Object.values(fixes).some(count => count > 0)) report.repaired++;
+    if (flagged) report.flagged++;
+    report.valid++;
+
+    repaired.push({
+      ...feature,
+      geometry: geometry.type === 'Polygon'
+        ? { ...geometry, coordinates: repairedPolygons[0] }
+        : { ...geometry, coordinates: repairedPolygons },
+    });
+  });
+
+  return {
+    geojson: { ...geojson, features: repaired },
+    report,
+  };
+};
+
+/**
+ * One-line summary of a repair report for logs and banners
+ * @param {Object} report - Report from repairGeoJSON
+ * @returns {string}
+ */
+export const describeRepairReport = (report) => {
+  if (!report) return 'No repair report';
+  const parts = [`${report.valid} of ${report.total} geometries valid`];
+  if (report.repaired > 0) parts.push(`${report.repaired} repaired`);
+  if (report.rejected > 0) parts.push(`${report.rejected} rejected`);
+  if (report.flagged > 0) parts.push(`${report.flagged} flagged`);
+  return parts.join(', ');
+};
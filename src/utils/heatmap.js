@@ -0,0 +1,182 @@
+/**
+ * Report heatmap weighting and a JS grid fallback.
+ *
+ * Each report contributes a weight from its category and age. The native
+ * Heatmap layer takes the weighted points directly; where it is not available
+ * the points are binned into a grid over the visible region, blurred with a
+ * small kernel and drawn as translucent polygons.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How much a single report of each category adds to a hotspot
+export const HEATMAP_CATEGORY_WEIGHTS = {
+  safety: 1.5,
+  water: 1.2,
+  electricity: 1.2,
+  roads: 1,
+  waste: 0.8,
+  other: 0.6,
+};
+
+// Reports lose half their weight every RECENCY_HALF_LIFE_DAYS
+const RECENCY_HALF_LIFE_DAYS = 30;
+// Old reports never disappear completely
+const MIN_RECENCY_FACTOR = 0.1;
+
+// Shared by the native layer and the grid fallback so both look the same
+export const HEATMAP_GRADIENT = {
+  colors: ['#4CAF50', '#FFEB3B', '#FF9800', '#F44336'],
+  startPoints: [0.1, 0.4, 0.7, 1],
+  colorMapSize: 256,
+};
+
+const GRADIENT_RGB = [
+  [76, 175, 80],
+  [255, 235, 59],
+  [255, 152, 0],
+  [244, 67, 54],
+];
+
+// 3x3 blur so single reports read as a soft spot rather than one hard cell
+const BLUR_KERNEL = [
+  [0.25, 0.5, 0.25],
+  [0.5, 1, 0.5],
+  [0.25, 0.5, 0.25],
+];
+
+/**
+ * Weight of one report from its category and age
+ * @param {Object} marker - Map marker with category and createdAt
+ * @param {number} now - Reference time in ms
+ * @returns {number} Weight
+ */
+export const getReportHeatWeight = (marker, now = Date.now()) => {
+  const category = marker.category || 'other';
+  const categoryWeight = HEATMAP_CATEGORY_WEIGHTS[category] || HEATMAP_CATEGORY_WEIGHTS.other;
+
+  const createdAt = new Date(marker.createdAt).getTime();
+  if (isNaN(createdAt)) return categoryWeight;
+
+  const ageDays = Math.max(0, (now - createdAt) / DAY_MS);
+  const recency = Math.max(MIN_RECENCY_FACTOR, Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS));
+
+  return categoryWeight * recency;
+};
+
+/**
+ * Converts map markers to weighted points for the native Heatmap
+ * @param {Array} markers - Map markers
+ * @param {number} now - Reference time in ms
+ * @returns {Array} [{latitude, longitude, weight}]
+ */
+export const buildHeatmapPoints = (markers, now = Date.now()) => {
+  try {
+    return markers
+      .filter(marker => isFinite(marker.latitude) && isFinite(marker.longitude))
+      .map(marker => ({
+        latitude: marker.latitude,
+        longitude: marker.longitude,
+        weight: getReportHeatWeight(marker, now),
+      }));
+  } catch (error) {
+    console.warn('Error in buildHeatmapPoints:', error);
+    return [];
+  }
+};
+
+/**
+ * Maps a 0–1 intensity onto the heatmap gradient
+ * @param {number} intensity - Normalised intensity
+ * @returns {string} rgba colour
+ */
+export const getHeatColor = (intensity) => {
+  const { startPoints } = HEATMAP_GRADIENT;
+  const value = Math.max(0, Math.min(1, intensity));
+
+  let index = 0;
+  while (index < startPoints.length - 2 && value > startPoints[index + 1]) {
+    index += 1;
+  }
+
+  const span = startPoints[index + 1] - startPoints[index];
+  const t = Math.max(0, Math.min(1, (value - startPoints[index]) / span));
+  const from = GRADIENT_RGB[index];
+  const to = GRADIENT_RGB[index + 1];
+  const [r, g, b] = from.map((channel, i) => Math.round(channel + (to[i] - channel) * t));
+
+  // Hotter cells are also more opaque
+  const alpha = (0.15 + 0.45 * value).toFixed(2);
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+};
+
+/**
+ * Bins weighted points into a blurred grid over the region
+ * @param {Array} points - [{latitude, longitude, weight}]
+ * @param {Object} region - Map region
+ * @param {Object} options - {cellsAcross, minIntensity}
+ * @returns {Array} Cells {id, coordinates, intensity, color}
+ */
+export const buildHeatmapGrid = (points, region, options = {}) => {
+  const { cellsAcross = 24, minIntensity = 0.05 } = options;
+
+  try {
+    if (!points.length || !region) return [];
+
+    // Square cells on screen: the same pixel size in both directions
+    const cellLng = region.longitudeDelta / cellsAcross;
+    const cellLat = cellLng * Math.cos(region.latitude * Math.PI / 180);
+    const minLng = region.longitude - region.longitudeDelta / 2;
+    const minLat = region.latitude - region.latitudeDelta / 2;
+    const columns = cellsAcross;
+    const rows = Math.max(1, Math.ceil(region.latitudeDelta / cellLat));
+
+    const totals = new Map();
+    points.forEach(({ latitude, longitude, weight }) => {
+      const column = Math.floor((longitude - minLng) / cellLng);
+      const row = Math.floor((latitude - minLat) / cellLat);
+
+      BLUR_KERNEL.forEach((kernelRow, dy) => {
+        kernelRow.forEach((factor, dx) => {
+          const c = column + dx - 1;
+          const r = row + dy - 1;
+          if (c < 0 || r < 0 || c >= columns || r >= rows) return;
+
+          const key = r * columns + c;
+          totals.set(key, (totals.get(key) || 0) + weight * factor);
+        });
+      });
+    });
+
+    const max = Math.max(...totals.values());
+    if (!(max > 0)) return [];
+
+    const cells = [];
+    totals.forEach((total, key) => {
+      const intensity = total / max;
+      if (intensity < minIntensity) return;
+
+      const row = Math.floor(key / columns);
+      const column = key % columns;
+      const south = minLat + row * cellLat;
+      const west = minLng + column * cellLng;
+
+      cells.push({
+        id: `heat-${row}-${column}`,
+        intensity,
+        color: getHeatColor(intensity),
+        coordinates: [
+          { latitude: south, longitude: west },
+          { latitude: south, longitude: west + cellLng },
+          { latitude: south + cellLat, longitude: west + cellLng },
+          { latitude: south + cellLat, longitude: west },
+        ],
+      });
+    });
+
+    return cells;
+  } catch (error) {
+    console.warn('Error in buildHeatmapGrid:', error);
+    return [];
+  }
+};
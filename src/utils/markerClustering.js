@@ -0,0 +1,156 @@
+/**
+ * Zoom-aware greedy marker clustering.
+ *
+ * Markers are projected to screen pixels for the current region (Web Mercator),
+ * bucketed into a grid of `radius`-sized cells, and greedily merged with any
+ * unclaimed neighbour within `radius` pixels. Runs in roughly linear time.
+ */
+
+const DEFAULT_RADIUS = 60;
+const MAX_MERCATOR_LATITUDE = 85.05112878;
+
+/**
+ * Projects a coordinate to screen pixels at the scale of the given region
+ * @param {Object} point - {latitude, longitude}
+ * @param {number} pixelsPerDegree - Horizontal pixels per degree of longitude
+ * @returns {Object} {x, y}
+ */
+const projectToPixels = ({ latitude, longitude }, pixelsPerDegree) => {
+  const lat = Math.max(-MAX_MERCATOR_LATITUDE, Math.min(MAX_MERCATOR_LATITUDE, latitude));
+  const mercatorY = Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI / 180) / 2)) * 180 / Math.PI;
+
+  return {
+    x: longitude * pixelsPerDegree,
+    y: -mercatorY * pixelsPerDegree,
+  };
+};
+
+/**
+ * Builds the summary object for a group of markers
+ * @param {Array} members - Markers in the cluster
+ * @returns {Object} Cluster with centroid, extent and category breakdown
+ */
+const summariseCluster = (members) => {
+  let latitude = 0, longitude = 0;
+  let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity;
+  const categories = {};
+
+  members.forEach(marker => {
+    latitude += marker.latitude;
+    longitude += marker.longitude;
+    minLng = Math.min(minLng, marker.longitude);
+    minLat = Math.min(minLat, marker.latitude);
+    maxLng = Math.max(maxLng, marker.longitude);
+    maxLat = Math.max(maxLat, marker.latitude);
+
+    const category = marker.category || marker.data?.category || 'other';
+    if (!categories[category]) {
+      categories[category] = { category, count: 0, color: marker.color };
+    }
+    categories[category].count += 1;
+  });
+
+  const breakdown = Object.values(categories).sort((a, b) => b.count - a.count);
+
+  return {
+    // ClusterMarker doesn't track view changes, so the id (its key) changes with
+    // the count and breakdown to redraw the bubble when members join or leave
+    id: `cluster-${members[0].id}-${members.length}-${breakdown.map(entry => `${entry.category}:${entry.count}`).join(',')}`,
+    latitude: latitude / members.length,
+    longitude: longitude / members.length,
+    count: members.length,
+    bbox: [minLng, minLat, maxLng, maxLat],
+    categories: breakdown,
+    markers: members,
+  };
+};
+
+/**
+ * Groups markers that would overlap on screen at the given region
+ * @param {Array} markers - Array of {id, latitude, longitude, category?, color?}
+ * @param {Object} region - Map region {latitude, longitude, latitudeDelta, longitudeDelta}
+ * @param {Object} options - {radius: cluster radius in pixels, mapWidth: map width in pixels}
+ * @returns {Object} {clusters, singles} where singles are markers that stand alone
+ */
+export const clusterMarkers = (markers, region, options = {}) => {
+  try {
+    if (!markers?.length || !region?.longitudeDelta) {
+      return { clusters: [], singles: markers || [] };
+    }
+
+    const { radius = DEFAULT_RADIUS, mapWidth = 360 } = options;
+    const pixelsPerDegree = mapWidth / region.longitudeDelta;
+
+    const points = markers
+      .filter(marker => Number.isFinite(marker.latitude) && Number.isFinite(marker.longitude))
+      .map(marker => ({ marker, ...projectToPixels(marker, pixelsPerDegree) }));
+
+    // Bucket points into radius-sized cells so neighbours are found without a full scan
+    const grid = new Map();
+    const cellKey = (cx, cy) => `${cx}:${cy}`;
+
+    points.forEach(point => {
+      point.cx = Math.floor(point.x / radius);
+      point.cy = Math.floor(point.y / radius);
+      const key = cellKey(point.cx, point.cy);
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(point);
+    });
+
+    const claimed = new Set();
+    const clusters = [];
+    const singles = [];
+
+    points.forEach(seed => {
+      if (claimed.has(seed)) return;
+      claimed.add(seed);
+
+      const members = [seed.marker];
+
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          const cell = grid.get(cellKey(seed.cx + dx, seed.cy + dy));
+          if (!cell) continue;
+
+          cell.forEach(point => {
+            if (claimed.has(point)) return;
+            const distance = Math.hypot(point.x - seed.x, point.y - seed.y);
+            if (distance <= radius) {
+              claimed.add(point);
+              members.push(point.marker);
+            }
+          });
+        }
+      }
+
+      if (members.length > 1) {
+        clusters.push(summariseCluster(members));
+      } else {
+        singles.push(seed.marker);
+      }
+    });
+
+    return { clusters, singles };
+  } catch (error) {
+    console.warn('Error clustering markers:', error);
+    return { clusters: [], singles: markers || [] };
+  }
+};
+
+/**
+ * Calculates a region that frames all markers of a cluster
+ * @param {Object} cluster - Cluster from clusterMarkers
+ * @param {number} minDelta - Smallest delta to zoom to, for clusters of coincident markers
+ * @returns {Object} Map region
+ */
+export const getClusterRegion = (cluster, minDelta = 0.002) => {
+  const [minLng, minLat, maxLng, maxLat] = cluster.bbox;
+  const padding = 1.4;
+
+  return {
+    latitude: (minLat + maxLat) / 2,
+    longitude: (minLng + maxLng) / 2,
+    latitudeDelta: Math.max((maxLat - minLat) * padding, minDelta),
+    longitudeDelta: Math.max((maxLng - minLng) * padding, minDelta),
+  };
+};
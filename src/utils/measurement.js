@@ -0,0 +1,167 @@
+import { calculateDistance } from './geoUtils';
+
+const EARTH_RADIUS_M = 6371008.8;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Total length of a path
+ * @param {Array} points - Array of {latitude, longitude}
+ * @param {boolean} closed - Include the segment back to the first point
+ * @returns {number} Distance in km
+ */
+export const getPathDistance = (points, closed = false) => {
+  let distance = 0;
+  for (let i = 1; i < points.length; i++) {
+    distance += calculateDistance(points[i - 1], points[i]);
+  }
+  if (closed && points.length > 2) {
+    distance += calculateDistance(points[points.length - 1], points[0]);
+  }
+  return distance;
+};
+
+/**
+ * Area enclosed by a ring of points on the sphere
+ * @param {Array} points - Array of {latitude, longitude}, not necessarily closed
+ * @returns {number} Area in square metres
+ */
+export const getPolygonArea = (points) => {
+  if (points.length < 3) return 0;
+
+  let total = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p1 = points[i];
+    const p2 = points[(i + 1) % points.length];
+    total += toRadians(p2.longitude - p1.longitude) *
+      (2 + Math.sin(toRadians(p1.latitude)) + Math.sin(toRadians(p2.latitude)));
+  }
+  return Math.abs(total * EARTH_RADIUS_M * EARTH_RADIUS_M / 2);
+};
+
+export const formatDistance = (km) => {
+  if (km < 1) return `${Math.round(km * 1000)} m`;
+  return `${km.toFixed(2)} km`;
+};
+
+export const formatArea = (squareMetres) => {
+  if (squareMetres < 10000) return `${Math.round(squareMetres)} m²`;
+  if (squareMetres < 1000000) return `${(squareMetres / 10000).toFixed(2)} ha`;
+  return `${(squareMetres / 1000000).toFixed(2)} km²`;
+};
+
+/**
+ * Converts measured points to a GeoJSON geometry for a report
+ * @param {Array} points - Array of {latitude, longitude}
+ * @param {string} shape - 'line' or 'polygon'
+ * @returns {Object|null} LineString or Polygon geometry
+ */
+export const pointsToGeometry = (points, shape = 'line') => {
+  const coordinates = points.map(point => [point.longitude, point.latitude]);
+
+  if (shape === 'polygon') {
+    if (coordinates.length < 3) return null;
+    return { type: 'Polygon', coordinates: [[...coordinates, coordinates[0]]] };
+  }
+
+  if (coordinates.length < 2) return null;
+  return { type: 'LineString', coordinates };
+};
+
+/**
+ * Converts a report geometry back to map coordinates
+ * @param {Object} geometry - Point, LineString or Polygon geometry
+ * @returns {Array} Array of {latitude, longitude}; polygon rings are returned open
+ */
+export const geometryToPoints = (geometry) => {
+  if (!geometry?.coordinates) return [];
+
+  let coordinates = geometry.coordinates;
+  if (geometry.type === 'Polygon') coordinates = coordinates[0].slice(0, -1);
+  if (geometry.type === 'Point') coordinates = [coordinates];
+  return coordinates.map(([longitude, latitude]) => ({ latitude, longitude }));
+};
+
+/**
+ * Representative point of a geometry: the halfway point along a line,
+ * or the area centroid of a polygon
+ * @param {Object} geometry - LineString or Polygon geometry
+ * @returns {Object|null} {latitude, longitude}
+ */
+export const getGeometryCentroid = (geometry) => {
+  try {
+    const points = geometryToPoints(geometry);
+    if (points.length === 0) return null;
+
+    if (geometry.type === 'Polygon' && points.length >= 3) {
+      let area = 0, x = 0, y = 0;
+      for (let i = 0; i < points.length; i++) {
+        const p1 = points[i];
+        const p2 = points[(i + 1) % points.length];
+        const cross = p1.longitude * p2.latitude - p2.longitude * p1.latitude;
+        area += cross;
+        x += (p1.longitude + p2.longitude) * cross;
+        y += (p1.latitude + p2.latitude) * cross;
+      }
+      if (area !== 0) {
+        return { latitude: y / (3 * area), longitude: x / (3 * area) };
+      }
+    }
+
+    // Walk the line until half its length is covered
+    const half = getPathDistance(points) / 2;
+    let walked = 0;
+    for (let i = 1; i < points.length; i++) {
+      const segment = calculateDistance(points[i - 1], points[i]);
+      if (walked + segment >= half && segment > 0) {
+        const t = (half - walked) / segment;
+        return {
+          latitude: points[i - 1].latitude + (points[i].latitude - points[i - 1].latitude) * t,
+          longitude: points[i - 1].longitude + (points[i].longitude - points[i - 1].longitude) * t,
+        };
+      }
+      walked += segment;
+    }
+    return points[0];
+  } catch (error) {
+    console.warn('Error in getGeometryCentroid:', error);
+    return null;
+  }
+};
+
+/**
+ * Length and area summary of a report geometry
+ * @param {Object} geometry - LineString or Polygon geometry
+ * @returns {string} e.g. "1.20 km" or "3.40 ha · 820 m perimeter"
+ */
+export const describeGeometry = (geometry) => {
+  const points = geometryToPoints(geometry);
+  if (geometry?.type === 'Polygon') {
+    return `${formatArea(getPolygonArea(points))} · ${formatDistance(getPathDistance(points, true))} perimeter`;
+  }
+  return formatDistance(getPathDistance(points));
+};
+
+/**
+ * Map region that frames a report geometry with some padding
+ * @param {Object} geometry - LineString or Polygon geometry
+ * @param {number} padding - Multiplier applied to the geometry's extent
+ * @returns {Object|null} {latitude, longitude, latitudeDelta, longitudeDelta}
+ */
+export const getGeometryRegion = (geometry, padding = 1.5) => {
+  const points = geometryToPoints(geometry);
+  if (points.length === 0) return null;
+
+  const latitudes = points.map(point => point.latitude);
+  const longitudes = points.map(point => point.longitude);
+  const minLat = Math.min(...latitudes);
+  const maxLat = Math.max(...latitudes);
+  const minLng = Math.min(...longitudes);
+  const maxLng = Math.max(...longitudes);
+
+  return {
+    latitude: (minLat + maxLat) / 2,
+    longitude: (minLng + maxLng) / 2,
+    latitudeDelta: Math.max((maxLat - minLat) * padding, 0.002),
+    longitudeDelta: Math.max((maxLng - minLng) * padding, 0.002),
+  };
+};
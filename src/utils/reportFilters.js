@@ -0,0 +1,124 @@
+import { REPORT_CATEGORIES, REPORT_STATUSES } from '../config/api';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DATE_RANGES = [
+  { value: 'all', label: 'Any time', days: null },
+  { value: '7d', label: 'Last 7 days', days: 7 },
+  { value: '30d', label: 'Last 30 days', days: 30 },
+  { value: '90d', label: 'Last 90 days', days: 90 },
+  { value: '365d', label: 'Last year', days: 365 },
+];
+
+// Filters store what is switched off, so an empty filter shows everything
+// and new categories or statuses added to the config appear by default
+export const DEFAULT_REPORT_FILTERS = {
+  excludedCategories: [],
+  excludedStatuses: [],
+  dateRange: 'all',
+  onlyMine: false,
+};
+
+/**
+ * Merges stored filters with the defaults, dropping unknown values
+ * @param {Object} filters - Possibly partial or outdated filters
+ * @returns {Object} Complete filters
+ */
+export const normalizeReportFilters = (filters) => {
+  const categories = REPORT_CATEGORIES.map(category => category.value);
+  const statuses = REPORT_STATUSES.map(status => status.value);
+
+  return {
+    excludedCategories: (filters?.excludedCategories || []).filter(value => categories.includes(value)),
+    excludedStatuses: (filters?.excludedStatuses || []).filter(value => statuses.includes(value)),
+    dateRange: DATE_RANGES.some(range => range.value === filters?.dateRange) ? filters.dateRange : 'all',
+    onlyMine: !!filters?.onlyMine,
+  };
+};
+
+/**
+ * Counts how many filters differ from the defaults
+ * @param {Object} filters - Report filters
+ * @returns {number}
+ */
+export const countActiveFilters = (filters) => {
+  let count = 0;
+  if (filters.excludedCategories.length) count += 1;
+  if (filters.excludedStatuses.length) count += 1;
+  if (filters.dateRange !== 'all') count += 1;
+  if (filters.onlyMine) count += 1;
+  return count;
+};
+
+const getDateRangeStart = (dateRange, now = Date.now()) => {
+  const range = DATE_RANGES.find(item => item.value === dateRange);
+  return range?.days ? new Date(now - range.days * DAY_MS) : null;
+};
+
+/**
+ * Converts filters to report query parameters for the API
+ * @param {Object} filters - Report filters
+ * @param {string} userId - Current user's id, for "only mine"
+ * @returns {Object} Query parameters (empty when nothing is filtered)
+ */
+export const buildReportQuery = (filters, userId = null) => {
+  const query = {};
+
+  if (filters.excludedCategories.length) {
+    query.category = REPORT_CATEGORIES
+      .map(category => category.value)
+      .filter(value => !filters.excludedCategories.includes(value))
+      .join(',');
+  }
+
+  if (filters.excludedStatuses.length) {
+    query.status = REPORT_STATUSES
+      .map(status => status.value)
+      .filter(value => !filters.excludedStatuses.includes(value))
+      .join(',');
+  }
+
+  // Rounded to the day so the query (and the tile cache key) stays stable
+  const from = getDateRangeStart(filters.dateRange);
+  if (from) {
+    query.created_after = from.toISOString().slice(0, 10);
+  }
+
+  if (filters.onlyMine && userId) {
+    query.created_by = userId;
+  }
+
+  return query;
+};
+
+/**
+ * Checks a report against the filters on the client
+ * @param {Object} report - Report
+ * @param {Object} filters - Report filters
+ * @param {string} userId - Current user's id, for "only mine"
+ * @returns {boolean}
+ */
+export const matchesReportFilters = (report, filters, userId = null) => {
+  if (filters.excludedCategories.includes(report.category || 'other')) return false;
+  if (filters.excludedStatuses.includes(report.status)) return false;
+
+  const from = getDateRangeStart(filters.dateRange);
+  if (from && new Date(report.created_at) < from) return false;
+
+  if (filters.onlyMine) {
+    const authorId = report.created_by || report.created_by_user?.id;
+    if (!userId || authorId !== userId) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Adds or removes a value from a list
+ * @param {Array} list - Current values
+ * @param {string} value - Value to toggle
+ * @returns {Array} New list
+ */
+export const toggleListValue = (list, value) => {
+  return list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+};
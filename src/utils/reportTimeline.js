@@ -0,0 +1,100 @@
+import { REPORT_STATUSES } from '../config/api';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATUS_VALUES = REPORT_STATUSES.map(status => status.value);
+
+/**
+ * Reads the status a status update moved the report to
+ * @param {Object} update - Status update from the API
+ * @returns {string|null} Status value
+ */
+const getUpdateStatus = (update) => {
+  const status = update.status || update.new_status;
+  return STATUS_VALUES.includes(status) ? status : null;
+};
+
+/**
+ * Builds a report's status history from its status updates
+ * @param {Object} report - Report
+ * @param {Array} updates - Status updates (any order), or null if not loaded
+ * @returns {Array} [{status, at}] sorted by time, starting with the creation
+ */
+export const buildStatusHistory = (report, updates = null) => {
+  try {
+    const createdAt = new Date(report.created_at).getTime();
+    const history = [{ status: 'pending', at: createdAt }];
+
+    const changes = (updates || [])
+      .map(update => ({ status: getUpdateStatus(update), at: new Date(update.created_at).getTime() }))
+      .filter(change => change.status && !isNaN(change.at))
+      .sort((a, b) => a.at - b.at);
+
+    if (changes.length > 0) {
+      return history.concat(changes);
+    }
+
+    // No usable history: assume the current status was set at the last update
+    if (report.status && report.status !== 'pending') {
+      const changedAt = new Date(report.resolved_at || report.updated_at).getTime();
+      history.push({ status: report.status, at: isNaN(changedAt) ? createdAt : changedAt });
+    }
+
+    return history;
+  } catch (error) {
+    console.warn('Error in buildStatusHistory:', error);
+    return [{ status: report.status || 'pending', at: 0 }];
+  }
+};
+
+/**
+ * Status of a report at a point in time
+ * @param {Array} history - From buildStatusHistory
+ * @param {number} time - Time in ms
+ * @returns {string|null} Status, or null if the report did not exist yet
+ */
+export const getStatusAt = (history, time) => {
+  if (!history.length || time < history[0].at) return null;
+
+  let status = history[0].status;
+  for (let i = 1; i < history.length && history[i].at <= time; i++) {
+    status = history[i].status;
+  }
+  return status;
+};
+
+/**
+ * Time span covered by the reports, from the first report to now
+ * @param {Array} reports - Reports
+ * @param {number} now - End of the range in ms
+ * @returns {Object} {start, end, step} in ms
+ */
+export const getTimelineRange = (reports, now = Date.now()) => {
+  const times = reports
+    .map(report => new Date(report.created_at).getTime())
+    .filter(time => !isNaN(time));
+
+  const start = times.length ? Math.min(...times) : now - 30 * DAY_MS;
+  // Around 120 frames for a full playback, never less than a day per frame
+  const step = Math.max(DAY_MS, Math.ceil((now - start) / 120 / DAY_MS) * DAY_MS);
+
+  return { start, end: now, step };
+};
+
+/**
+ * Reports that existed at a time, with their status at that time
+ * @param {Array} reports - Reports
+ * @param {Object} histories - Status histories keyed by report id
+ * @param {number} time - Time in ms
+ * @returns {Array} [{report, status}]
+ */
+export const getReportsAtTime = (reports, histories, time) => {
+  const result = [];
+  reports.forEach((report) => {
+    const history = histories[report.id] || buildStatusHistory(report);
+    const status = getStatusAt(history, time);
+    if (status) {
+      result.push({ report, status });
+    }
+  });
+  return result;
+};
@@ -0,0 +1,158 @@
+/**
+ * Static packed R-tree for bounding box lookups.
+ *
+ * The tree is bulk-loaded once with Sort-Tile-Recursive packing and stored as
+ * plain arrays, so it can be serialised to AsyncStorage next to the GeoJSON
+ * it indexes and queried without being rebuilt.
+ */
+
+const DEFAULT_NODE_SIZE = 16;
+
+/**
+ * Orders entries into STR tiles: vertical slices by center X, each slice sorted by center Y
+ * @param {Array} entries - Array of {box, id}
+ * @param {number} nodeSize - Maximum children per node
+ * @returns {Array} Entries in packing order
+ */
+const sortTileRecursive = (entries, nodeSize) => {
+  const centerX = (entry) => (entry.box[0] + entry.box[2]) / 2;
+  const centerY = (entry) => (entry.box[1] + entry.box[3]) / 2;
+
+  const nodeCount = Math.ceil(entries.length / nodeSize);
+  const sliceCount = Math.ceil(Math.sqrt(nodeCount));
+  const sliceSize = sliceCount * nodeSize;
+
+  const byX = [...entries].sort((a, b) => centerX(a) - centerX(b));
+  const packed = [];
+
+  for (let i = 0; i < byX.length; i += sliceSize) {
+    const slice = byX.slice(i, i + sliceSize).sort((a, b) => centerY(a) - centerY(b));
+    packed.push(...slice);
+  }
+
+  return packed;
+};
+
+/**
+ * Builds a packed R-tree from an array of bounding boxes
+ * @param {Array} bboxes - Array of [minX, minY, maxX, maxY] (null entries are skipped)
+ * @param {number} nodeSize - Maximum children per node
+ * @returns {Object|null} Serialisable index or null if there is nothing to index
+ */
+export const createSpatialIndex = (bboxes, nodeSize = DEFAULT_NODE_SIZE) => {
+  try {
+    if (!Array.isArray(bboxes)) return null;
+
+    const entries = [];
+    bboxes.forEach((box, id) => {
+      if (box && box.every(Number.isFinite)) {
+        entries.push({ box, id });
+      }
+    });
+
+    if (entries.length === 0) return null;
+
+    const boxes = [];
+    const indices = [];
+    const levelBounds = [];
+
+    // Leaf level: one entry per item, indices point back into the source array
+    sortTileRecursive(entries, nodeSize).forEach(({ box, id }) => {
+      boxes.push(box[0], box[1], box[2], box[3]);
+      indices.push(id);
+    });
+    levelBounds.push(boxes.length);
+
+    // Pack each level into parent nodes until a single root remains
+    let levelStart = 0;
+    let levelEnd = boxes.length;
+
+    do {
+      for (let pos = levelStart; pos < levelEnd; pos += nodeSize * 4) {
+        const end = Math.min(pos + nodeSize * 4, levelEnd);
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        for (let child = pos; child < end; child += 4) {
+          minX = Math.min(minX, boxes[child]);
+          minY = Math.min(minY, boxes[child + 1]);
+          maxX = Math.max(maxX, boxes[child + 2]);
+          maxY = Math.max(maxY, boxes[child + 3]);
+        }
+
+        boxes.push(minX, minY, maxX, maxY);
+        // Internal nodes store the position of their first child
+        indices.push(pos);
+      }
+
+      levelStart = levelEnd;
+      levelEnd = boxes.length;
+      levelBounds.push(levelEnd);
+    } while (levelEnd - levelStart > 4);
+
+    return {
+      nodeSize,
+      numItems: entries.length,
+      sourceLength: bboxes.length,
+      boxes,
+      indices,
+      levelBounds,
+    };
+  } catch (error) {
+    console.warn('Error building spatial index:', error);
+    return null;
+  }
+};
+
+/**
+ * Finds the ids of all items whose bounding box intersects the query box
+ * @param {Object} index - Index created by createSpatialIndex
+ * @param {Array} bbox - [minX, minY, maxX, maxY]
+ * @returns {Array} Matching item ids in ascending order
+ */
+export const searchSpatialIndex = (index, bbox) => {
+  try {
+    if (!index?.boxes?.length || !bbox) return [];
+
+    const { boxes, indices, levelBounds, nodeSize, numItems } = index;
+    const [minX, minY, maxX, maxY] = bbox;
+    const leafEnd = numItems * 4;
+    const results = [];
+    const queue = [];
+
+    let nodePos = boxes.length - 4;
+
+    while (nodePos !== undefined) {
+      const levelEnd = levelBounds.find(bound => bound > nodePos);
+      const end = Math.min(nodePos + nodeSize * 4, levelEnd);
+
+      for (let pos = nodePos; pos < end; pos += 4) {
+        if (maxX < boxes[pos] || maxY < boxes[pos + 1] || minX > boxes[pos + 2] || minY > boxes[pos + 3]) {
+          continue;
+        }
+
+        if (nodePos >= leafEnd) {
+          queue.push(indices[pos >> 2]);
+        } else {
+          results.push(indices[pos >> 2]);
+        }
+      }
+
+      nodePos = queue.pop();
+    }
+
+    return results.sort((a, b) => a - b);
+  } catch (error) {
+    console.warn('Error searching spatial index:', error);
+    return [];
+  }
+};
+
+/**
+ * Checks that an index was built for a collection of the given size
+ * @param {Object} index - Index created by createSpatialIndex
+ * @param {number} length - Number of items in the collection being queried
+ * @returns {boolean}
+ */
+export const isSpatialIndexFor = (index, length) => {
+  return !!index?.boxes && index.sourceLength === length;
+};
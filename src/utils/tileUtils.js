@@ -0,0 +1,56 @@
+// Standard web map (slippy) tile grid helpers
+
+const MAX_MERCATOR_LATITUDE = 85.0511;
+
+export const longitudeToTileX = (longitude, zoom) => {
+  return Math.floor(((longitude + 180) / 360) * Math.pow(2, zoom));
+};
+
+export const latitudeToTileY = (latitude, zoom) => {
+  const lat = Math.max(-MAX_MERCATOR_LATITUDE, Math.min(MAX_MERCATOR_LATITUDE, latitude)) * Math.PI / 180;
+  return Math.floor(((1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2) * Math.pow(2, zoom));
+};
+
+export const tileXToLongitude = (x, zoom) => (x / Math.pow(2, zoom)) * 360 - 180;
+
+export const tileYToLatitude = (y, zoom) => {
+  const n = Math.PI - (2 * Math.PI * y) / Math.pow(2, zoom);
+  return (180 / Math.PI) * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)));
+};
+
+/**
+ * Bounding box of a tile
+ * @param {Object} tile - {x, y, zoom}
+ * @returns {Array} [minLng, minLat, maxLng, maxLat]
+ */
+export const getTileBBox = (tile) => {
+  return [
+    tileXToLongitude(tile.x, tile.zoom),
+    tileYToLatitude(tile.y + 1, tile.zoom),
+    tileXToLongitude(tile.x + 1, tile.zoom),
+    tileYToLatitude(tile.y, tile.zoom),
+  ];
+};
+
+/**
+ * Lists the tiles covering a bounding box at one zoom level
+ * @param {Array} bbox - [minLng, minLat, maxLng, maxLat]
+ * @param {number} zoom - Tile zoom level
+ * @returns {Array} Tiles {x, y, zoom}
+ */
+export const getTilesForBBox = (bbox, zoom) => {
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  const minX = longitudeToTileX(minLng, zoom);
+  const maxX = longitudeToTileX(maxLng, zoom);
+  // Tile rows count down from the north
+  const minY = latitudeToTileY(maxLat, zoom);
+  const maxY = latitudeToTileY(minLat, zoom);
+
+  const tiles = [];
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      tiles.push({ x, y, zoom });
+    }
+  }
+  return tiles;
+};
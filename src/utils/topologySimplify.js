@@ -0,0 +1,273 @@
+/**
+ * Shared-edge-aware polygon simplification.
+ *
+ * Ward boundaries from the same source share exact vertices along common
+ * borders. Rings are split into arcs at junctions (vertices where more than
+ * two rings meet or where rings diverge), identical arcs are detected across
+ * features and each one is simplified exactly once. Reassembling rings from
+ * the shared simplified arcs keeps neighbouring wards watertight.
+ */
+
+const coordKey = (coord) => `${coord[0]},${coord[1]}`;
+
+/**
+ * Squared distance from a point to a segment
+ * @param {Array} p - [x, y]
+ * @param {Array} a - Segment start [x, y]
+ * @param {Array} b - Segment end [x, y]
+ * @returns {number}
+ */
+const squaredSegmentDistance = (p, a, b) => {
+  let x = a[0];
+  let y = a[1];
+  let dx = b[0] - x;
+  let dy = b[1] - y;
+
+  if (dx !== 0 || dy !== 0) {
+    const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+    if (t > 1) {
+      x = b[0];
+      y = b[1];
+    } else if (t > 0) {
+      x += dx * t;
+      y += dy * t;
+    }
+  }
+
+  dx = p[0] - x;
+  dy = p[1] - y;
+  return dx * dx + dy * dy;
+};
+
+/**
+ * Douglas-Peucker simplification of an open line, keeping both endpoints
+ * @param {Array} points - Array of [x, y]
+ * @param {number} tolerance - Maximum allowed deviation
+ * @returns {Array} Simplified points
+ */
+export const simplifyLine = (points, tolerance) => {
+  if (points.length <= 2) return points.slice();
+
+  const sqTolerance = tolerance * tolerance;
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  const stack = [[0, points.length - 1]];
+
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = squaredSegmentDistance(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (index !== -1 && maxDistance > sqTolerance) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((point, i) => keep[i]);
+};
+
+/**
+ * Returns a ring without its closing coordinate
+ * @param {Array} ring - Array of [lng, lat]
+ * @returns {Array}
+ */
+const openRing = (ring) => {
+  if (ring.length > 1 && coordKey(ring[0]) === coordKey(ring[ring.length - 1])) {
+    return ring.slice(0, -1);
+  }
+  return ring;
+};
+
+/**
+ * Collects every ring in the collection as an open ring
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @returns {Array} Open rings
+ */
+const collectRings = (geojson) => {
+  const rings = [];
+
+  geojson.features.forEach(feature => {
+    const geometry = feature?.geometry;
+    if (!geometry?.coordinates) return;
+
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon' ? geometry.coordinates
+        : [];
+
+    polygons.forEach(polygon => {
+      (polygon || []).forEach(ring => {
+        if (ring?.length >= 4) rings.push(openRing(ring));
+      });
+    });
+  });
+
+  return rings;
+};
+
+/**
+ * Finds the junction vertices: points with more than two distinct neighbours across all rings
+ * @param {Array} rings - Open rings
+ * @returns {Set} Coordinate keys of junctions
+ */
+const findJunctions = (rings) => {
+  const neighbours = new Map();
+  const junctions = new Set();
+
+  const addNeighbour = (key, neighbourKey) => {
+    let list = neighbours.get(key);
+    if (!list) {
+      list = [];
+      neighbours.set(key, list);
+    }
+    if (!list.includes(neighbourKey)) {
+      list.push(neighbourKey);
+      if (list.length > 2) junctions.add(key);
+    }
+  };
+
+  rings.forEach(ring => {
+    const keys = ring.map(coordKey);
+    const n = keys.length;
+
+    keys.forEach((key, i) => {
+      addNeighbour(key, keys[(i - 1 + n) % n]);
+      addNeighbour(key, keys[(i + 1) % n]);
+    });
+  });
+
+  return junctions;
+};
+
+/**
+ * Splits an open ring into arcs that start and end at junctions.
+ * Rings without junctions become one closed arc starting at their smallest vertex.
+ * @param {Array} ring - Open ring
+ * @param {Set} junctions - Junction coordinate keys
+ * @returns {Array} Arcs, each an array of [lng, lat]
+ */
+const splitRingIntoArcs = (ring, junctions) => {
+  const keys = ring.map(coordKey);
+  const n = ring.length;
+  let start = keys.findIndex(key => junctions.has(key));
+
+  if (start === -1) {
+    // Rotate to a deterministic start so identical rings (e.g. a hole and its enclave) match
+    start = keys.reduce((best, key, i) => (key < keys[best] ? i : best), 0);
+    const rotated = [...ring.slice(start), ...ring.slice(0, start)];
+    return [[...rotated, rotated[0]]];
+  }
+
+  const arcs = [];
+  let arc = [ring[start]];
+
+  for (let step = 1; step <= n; step++) {
+    const i = (start + step) % n;
+    arc.push(ring[i]);
+
+    if (junctions.has(keys[i])) {
+      arcs.push(arc);
+      arc = [ring[i]];
+    }
+  }
+
+  return arcs;
+};
+
+/**
+ * Builds a direction-independent identity for an arc from its full coordinate
+ * sequence, so only arcs with exactly the same vertices share a key
+ * @param {Array} arc - Array of [lng, lat]
+ * @returns {Object} {key, reversed} where reversed says the arc runs against the canonical direction
+ */
+const getArcIdentity = (arc) => {
+  const keys = arc.map(coordKey);
+  const last = keys.length - 1;
+
+  // The canonical direction is the lexicographically smaller vertex sequence
+  let reversed = false;
+  for (let i = 0; i <= last; i++) {
+    const forward = keys[i];
+    const backward = keys[last - i];
+    if (forward !== backward) {
+      reversed = backward < forward;
+      break;
+    }
+  }
+
+  return {
+    key: (reversed ? keys.reverse() : keys).join('|'),
+    reversed,
+  };
+};
+
+/**
+ * Simplifies polygons while keeping borders shared between features identical
+ * @param {Object} geojson - GeoJSON FeatureCollection of Polygon/MultiPolygon features
+ * @param {number} tolerance - Simplification tolerance in degrees
+ * @returns {Object} Simplified GeoJSON; other geometry types are left untouched
+ */
+export const simplifyTopology = (geojson, tolerance) => {
+  if (!geojson?.features) return geojson;
+
+  const junctions = findJunctions(collectRings(geojson));
+  const simplifiedArcs = new Map();
+
+  const simplifyArc = (arc) => {
+    const { key, reversed } = getArcIdentity(arc);
+
+    if (!simplifiedArcs.has(key)) {
+      const canonical = reversed ? [...arc].reverse() : arc;
+      simplifiedArcs.set(key, simplifyLine(canonical, tolerance));
+    }
+
+    const simplified = simplifiedArcs.get(key);
+    return reversed ? [...simplified].reverse() : simplified;
+  };
+
+  const simplifyRing = (ring) => {
+    if (!ring || ring.length < 4) return ring;
+
+    const open = openRing(ring);
+    const result = [];
+
+    splitRingIntoArcs(open, junctions).forEach(arc => {
+      const simplified = simplifyArc(arc);
+      // Consecutive arcs share their joining junction
+      result.push(...(result.length ? simplified.slice(1) : simplified));
+    });
+
+    // Rings that collapse keep their original shape rather than disappearing
+    return result.length >= 4 ? result : ring;
+  };
+
+  const simplifyPolygon = (polygon) => (polygon || []).map(simplifyRing);
+
+  return {
+    ...geojson,
+    features: geojson.features.map(feature => {
+      const geometry = feature?.geometry;
+      if (!geometry?.coordinates) return feature;
+
+      if (geometry.type === 'Polygon') {
+        return { ...feature, geometry: { ...geometry, coordinates: simplifyPolygon(geometry.coordinates) } };
+      }
+
+      if (geometry.type === 'MultiPolygon') {
+        return { ...feature, geometry: { ...geometry, coordinates: geometry.coordinates.map(simplifyPolygon) } };
+      }
+
+      return feature;
+    }),
+  };
+};
@@ -0,0 +1,149 @@
+/**
+ * Per-ward report metrics for the choropleth layer.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sequential ramp from few/fast (light) to many/slow (dark)
+export const CHOROPLETH_COLORS = [
+  'rgba(255, 224, 178, 0.55)',
+  'rgba(255, 183, 77, 0.55)',
+  'rgba(255, 138, 0, 0.6)',
+  'rgba(230, 81, 0, 0.6)',
+  'rgba(183, 28, 28, 0.65)',
+];
+
+export const WARD_METRICS = [
+  { value: 'open_reports', label: 'Open reports', unit: 'reports' },
+  { value: 'category_reports', label: 'By category', unit: 'reports' },
+  { value: 'median_resolution_days', label: 'Days to resolve', unit: 'days' },
+];
+
+/**
+ * Groups reports by ward, using the report's ward_id and falling back to a location lookup
+ * @param {Array} reports - Reports with ward_id, lat and lng
+ * @param {Function} resolveWardId - (latitude, longitude) => ward id or null
+ * @returns {Object} Map of ward id (as string) to reports
+ */
+export const groupReportsByWard = (reports, resolveWardId) => {
+  const byWard = {};
+
+  (reports || []).forEach(report => {
+    let wardId = report.ward_id;
+
+    if (!wardId && resolveWardId && Number.isFinite(report.lat) && Number.isFinite(report.lng)) {
+      wardId = resolveWardId(report.lat, report.lng);
+    }
+
+    if (!wardId) return;
+
+    const key = String(wardId);
+    if (!byWard[key]) byWard[key] = [];
+    byWard[key].push(report);
+  });
+
+  return byWard;
+};
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Days between a resolved report's creation and resolution
+ * @param {Object} report - Report
+ * @returns {number|null}
+ */
+const getResolutionDays = (report) => {
+  if (report.status !== 'resolved') return null;
+
+  const created = new Date(report.created_at).getTime();
+  const resolved = new Date(report.resolved_at || report.updated_at).getTime();
+  if (!Number.isFinite(created) || !Number.isFinite(resolved) || resolved < created) return null;
+
+  return (resolved - created) / DAY_MS;
+};
+
+/**
+ * Computes a metric for every ward that has reports
+ * @param {Object} reportsByWard - Output of groupReportsByWard
+ * @param {string} metric - One of WARD_METRICS values
+ * @param {Object} options - {category} for the category_reports metric
+ * @returns {Object} Map of ward id to numeric value (wards without a value are omitted)
+ */
+export const computeWardMetric = (reportsByWard, metric, options = {}) => {
+  const values = {};
+
+  Object.entries(reportsByWard || {}).forEach(([wardId, wardReports]) => {
+    let value = null;
+
+    switch (metric) {
+      case 'open_reports':
+        value = wardReports.filter(report => report.status !== 'resolved').length;
+        break;
+      case 'category_reports':
+        value = wardReports.filter(report => report.category === options.category).length;
+        break;
+      case 'median_resolution_days':
+        value = median(wardReports.map(getResolutionDays).filter(days => days !== null));
+        break;
+      default:
+        value = null;
+    }
+
+    if (value !== null) values[wardId] = value;
+  });
+
+  return values;
+};
+
+/**
+ * Splits the value range into equal-interval classes
+ * @param {Object} values - Map of ward id to value
+ * @param {Array} colors - Colour per class
+ * @returns {Array} Classes of {min, max, color}, empty when there are no values
+ */
+export const buildChoroplethClasses = (values, colors = CHOROPLETH_COLORS) => {
+  const numbers = Object.values(values || {});
+  if (!numbers.length) return [];
+
+  const min = Math.min(...numbers);
+  const max = Math.max(...numbers);
+  if (min === max) return [{ min, max, color: colors[colors.length - 1] }];
+
+  const step = (max - min) / colors.length;
+  return colors.map((color, i) => ({
+    min: min + step * i,
+    max: i === colors.length - 1 ? max : min + step * (i + 1),
+    color,
+  }));
+};
+
+/**
+ * Finds the colour for a value
+ * @param {number} value - Metric value
+ * @param {Array} classes - Output of buildChoroplethClasses
+ * @returns {string|null}
+ */
+export const getChoroplethColor = (value, classes) => {
+  if (value === null || value === undefined || !classes?.length) return null;
+  const match = classes.find(range => value <= range.max);
+  return (match || classes[classes.length - 1]).color;
+};
+
+/**
+ * Builds fill colours keyed by ward id, ready for OptimizedMapView's wardFillColors
+ * @param {Object} values - Map of ward id to value
+ * @param {Array} classes - Output of buildChoroplethClasses
+ * @returns {Object} Map of ward id to colour
+ */
+export const getWardFillColors = (values, classes) => {
+  const colors = {};
+  Object.entries(values || {}).forEach(([wardId, value]) => {
+    colors[wardId] = getChoroplethColor(value, classes);
+  });
+  return colors;
+};
@@ -0,0 +1,162 @@
+// Canonical ward fields every dataset is normalised to
+export const WARD_FIELDS = ['id', 'name', 'municipality', 'municipalityId', 'municipalityCode', 'province'];
+
+// Bump when applyWardSchema's output changes so cached datasets are rebuilt
+export const WARD_SCHEMA_VERSION = 1;
+
+// Keep the debug report small enough to cache with the dataset
+const MAX_REPORTED_ERRORS = 50;
+const MAX_UNMAPPED_PROPERTIES = 20;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Coerces a mapped value to the type declared in the schema
+ * @param {*} value - Source value
+ * @param {string} type - 'string', 'number' or undefined to keep as-is
+ * @returns {*} Coerced value, or undefined if it can't be converted
+ */
+const coerceValue = (value, type) => {
+  if (type === 'string') return String(value).trim();
+  if (type === 'number') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+  }
+  return value;
+};
+
+/**
+ * Fills `{field}` placeholders from already mapped canonical fields
+ * @param {string} template - e.g. 'Ward {id}'
+ * @param {Object} ward - Canonical fields mapped so far
+ * @returns {string|undefined} Undefined if a placeholder has no value
+ */
+const fillTemplate = (template, ward) => {
+  let complete = true;
+  const text = template.replace(/\{(\w+)\}/g, (match, field) => {
+    if (isBlank(ward[field])) complete = false;
+    return ward[field];
+  });
+  return complete ? text : undefined;
+};
+
+const createFieldStats = () => ({ sources: {}, missing: 0, defaulted: 0, invalid: 0 });
+
+/**
+ * Normalises a ward dataset into the canonical ward shape using its schema.
+ * Each feature's properties are replaced by the canonical fields, with the
+ * original properties kept under `source`. Features missing a required
+ * field (or repeating an id) are dropped and listed in the report.
+ * @param {Object} geojson - Raw GeoJSON FeatureCollection
+ * @param {Object} schema - Field mappings from WARD_DATASETS
+ * @param {string} datasetId - Dataset key, recorded in the report
+ * @returns {Object} {geojson, report}
+ */
+export const applyWardSchema = (geojson, schema, datasetId = null) => {
+  const features = geojson?.features || [];
+  const fields = Object.keys(schema);
+  const schemaSources = new Set(fields.flatMap(field => schema[field].from || []));
+
+  const report = {
+    datasetId,
+    total: features.length,
+    valid: 0,
+    errorCount: 0,
+    errors: [],
+    fields: Object.fromEntries(fields.map(field => [field, createFieldStats()])),
+    unmappedProperties: [],
+    checkedAt: Date.now(),
+  };
+  const unmapped = {};
+  const seenIds = new Set();
+
+  const addError = (featureIndex, field, message) => {
+    report.errorCount++;
+    if (report.errors.length < MAX_REPORTED_ERRORS) {
+      report.errors.push({ featureIndex, field, message });
+    }
+  };
+
+  const normalized = [];
+  features.forEach((feature, featureIndex) => {
+    const properties = feature?.properties || {};
+    const ward = {};
+    let valid = true;
+
+    Object.keys(properties).forEach(key => {
+      if (!schemaSources.has(key)) unmapped[key] = (unmapped[key] || 0) + 1;
+    });
+
+    fields.forEach(field => {
+      const mapping = schema[field];
+      const stats = report.fields[field];
+      const source = (mapping.from || []).find(key => !isBlank(properties[key]));
+
+      let value;
+      if (source) {
+        value = coerceValue(properties[source], mapping.type);
+        if (isBlank(value)) {
+          stats.invalid++;
+          if (mapping.required) {
+            addError(featureIndex, field, `"${source}" value ${JSON.stringify(properties[source])} is not a valid ${mapping.type}`);
+            valid = false;
+          }
+        } else {
+          stats.sources[source] = (stats.sources[source] || 0) + 1;
+        }
+      }
+
+      if (isBlank(value) && mapping.default) {
+        value = fillTemplate(mapping.default, ward);
+        if (!isBlank(value)) stats.defaulted++;
+      }
+
+      if (isBlank(value)) {
+        stats.missing++;
+        if (mapping.required && valid) {
+          addError(featureIndex, field, `Missing required field; looked for ${(mapping.from || []).join(', ')}`);
+          valid = false;
+        }
+        value = null;
+      }
+
+      ward[field] = value;
+    });
+
+    if (valid && !isBlank(ward.id)) {
+      if (seenIds.has(ward.id)) {
+        addError(featureIndex, 'id', `Duplicate ward id ${JSON.stringify(ward.id)}`);
+        valid = false;
+      } else {
+        seenIds.add(ward.id);
+      }
+    }
+
+    if (!valid) return;
+
+    report.valid++;
+    normalized.push({ ...feature, properties: { ...ward, source: properties } });
+  });
+
+  report.unmappedProperties = Object.entries(unmapped)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_UNMAPPED_PROPERTIES)
+    .map(([name, count]) => ({ name, count }));
+
+  return {
+    geojson: { ...geojson, features: normalized },
+    report,
+  };
+};
+
+/**
+ * One-line summary of a schema report for logs and banners
+ * @param {Object} report - Report from applyWardSchema
+ * @returns {string}
+ */
+export const describeSchemaReport = (report) => {
+  if (!report) return 'No schema report';
+  const dropped = report.total - report.valid;
+  return `${report.valid} of ${report.total} wards mapped` +
+    (dropped > 0 ? `, ${dropped} dropped with ${report.errorCount} ${report.errorCount === 1 ? 'error' : 'errors'}` : '');
+};
@@ -0,0 +1,85 @@
+import { isPointInPolygon } from './geoUtils';
+import { simplifyLine } from './topologySimplify';
+
+/**
+ * Turns a traced lasso path into a closed polygon ring
+ * @param {Array} path - Traced points as {latitude, longitude}
+ * @param {number} tolerance - Simplification tolerance in degrees
+ * @returns {Array|null} Closed ring of [longitude, latitude], or null if the trace is too small
+ */
+export const lassoToRing = (path, tolerance = 0) => {
+  try {
+    const points = path
+      .filter(point => point && isFinite(point.latitude) && isFinite(point.longitude))
+      .map(point => [point.longitude, point.latitude]);
+
+    const simplified = tolerance > 0 ? simplifyLine(points, tolerance) : points;
+    const distinct = new Set(simplified.map(point => point.join(',')));
+    if (distinct.size < 3) return null;
+
+    const ring = simplified.slice();
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      ring.push(first.slice());
+    }
+    return ring;
+  } catch (error) {
+    console.warn('Error in lassoToRing:', error);
+    return null;
+  }
+};
+
+/**
+ * Converts a ring to react-native-maps coordinates
+ * @param {Array} ring - Array of [longitude, latitude]
+ * @returns {Array} Array of {latitude, longitude}
+ */
+export const ringToCoordinates = (ring) => ring.map(([longitude, latitude]) => ({ latitude, longitude }));
+
+/**
+ * A report's location as numbers; the API returns lat/lng as strings at times
+ * @param {Object} report - Report with lat/lng
+ * @returns {Object|null} {latitude, longitude}, or null if either is missing or invalid
+ */
+const getReportLocation = (report) => {
+  if (report?.lat == null || report?.lng == null) return null;
+  const latitude = Number(report.lat);
+  const longitude = Number(report.lng);
+  return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+};
+
+/**
+ * Reports whose location falls inside an area
+ * @param {Array} reports - Reports with lat/lng
+ * @param {Array} ring - Area ring of [longitude, latitude]
+ * @returns {Array} Reports inside the area
+ */
+export const getReportsInArea = (reports, ring) => {
+  if (!ring) return reports;
+  return reports.filter(report => {
+    const location = getReportLocation(report);
+    return location && isPointInPolygon(location, ring);
+  });
+};
+
+/**
+ * Plain-text summary of the reports in an area, for the share sheet
+ * @param {string} name - Area name
+ * @param {Array} reports - Reports in the area; those without valid coordinates are left out
+ * @returns {string}
+ */
+export const buildAreaShareMessage = (name, reports) => {
+  const lines = reports
+    .map(report => {
+      const location = getReportLocation(report);
+      if (!location) return null;
+      return `• ${report.title} (${(report.status || 'pending').replace('_', ' ')}) — ${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)}`;
+    })
+    .filter(Boolean);
+
+  return [
+    `${name}: ${lines.length} ${lines.length === 1 ? 'report' : 'reports'}`,
+    ...lines,
+  ].join('\n');
+};